@@ -0,0 +1,408 @@
+const User = require('../models/User');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const Session = require('../models/Session');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const mongoose = require('mongoose');
+
+const USER_ADMIN_FIELDS = 'name email avatar role isActive isEmailVerified loginAttempts lockUntil lastLogin createdAt deletion';
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPagination = (query) => {
+  const pageNum = Math.max(parseInt(query.page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const buildPagination = (pageNum, limitNum, total) => ({
+  currentPage: pageNum,
+  totalPages: Math.ceil(total / limitNum),
+  total,
+  hasNextPage: pageNum < Math.ceil(total / limitNum),
+  hasPrevPage: pageNum > 1
+});
+
+// The audit entry is written after the change, so check the reason up front
+const isInvalidReason = (reason) => reason !== undefined && (typeof reason !== 'string' || reason.length > 500);
+
+// Record an admin action with the acting admin
+const recordAdminAction = (req, { action, targetType, targetId, reason, details }) => AdminAuditLog.create({
+  adminId: req.user.userId,
+  action,
+  targetType,
+  targetId,
+  reason,
+  details,
+  ipAddress: req.ip
+});
+
+// Search users
+const searchUsers = async (req, res) => {
+  try {
+    const { q, role, isActive, locked } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const filter = { deletedAt: null };
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (locked === 'true') filter.lockUntil = { $gt: new Date() };
+
+    const users = await User.find(filter)
+      .select(USER_ADMIN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users,
+      pagination: buildPagination(pageNum, limitNum, total)
+    });
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    res.status(500).json({ message: 'Failed to search users', error: error.message });
+  }
+};
+
+// Get a single user with their group memberships
+const getUserDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(id).select(USER_ADMIN_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const memberships = await GroupMember.find({ userId: id })
+      .populate('groupId', 'name isActive')
+      .sort({ joinedAt: -1 });
+
+    const activeSessions = await Session.countDocuments({
+      userId: id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({ user, memberships, activeSessions });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Failed to fetch user', error: error.message });
+  }
+};
+
+// Deactivate an account and sign it out everywhere
+const deactivateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (isInvalidReason(reason)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    if (id === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is already inactive' });
+    }
+
+    user.isActive = false;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'revoked');
+
+    await recordAdminAction(req, { action: 'user_deactivated', targetType: 'User', targetId: user._id, reason });
+
+    res.json({ message: 'User deactivated successfully' });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({ message: 'Failed to deactivate user', error: error.message });
+  }
+};
+
+// Reactivate an account
+const reactivateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (isInvalidReason(reason)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    const user = await User.findById(id);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ message: 'User is already active' });
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    await recordAdminAction(req, { action: 'user_reactivated', targetType: 'User', targetId: user._id, reason });
+
+    res.json({ message: 'User reactivated successfully' });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({ message: 'Failed to reactivate user', error: error.message });
+  }
+};
+
+// Clear a lockout caused by failed login attempts
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (isInvalidReason(reason)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousAttempts = user.loginAttempts;
+    await user.updateOne({ $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } });
+
+    await recordAdminAction(req, {
+      action: 'user_unlocked',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { previousAttempts, wasLocked: user.isLocked }
+    });
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({ message: 'Failed to unlock user', error: error.message });
+  }
+};
+
+// Change a user's platform role
+const changeUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (isInvalidReason(reason)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (id === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      return res.status(400).json({ message: `User already has the ${role} role` });
+    }
+
+    user.role = role;
+    await user.save();
+
+    await recordAdminAction(req, {
+      action: 'user_role_changed',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { previousRole, newRole: role }
+    });
+
+    res.json({ message: 'User role updated successfully', role: user.role });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({ message: 'Failed to change role', error: error.message });
+  }
+};
+
+// Mark a user's email as verified
+const verifyUserEmail = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (isInvalidReason(reason)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    await recordAdminAction(req, { action: 'user_email_verified', targetType: 'User', targetId: user._id, reason });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Admin verify email error:', error);
+    res.status(500).json({ message: 'Failed to verify email', error: error.message });
+  }
+};
+
+// List groups
+const listGroups = async (req, res) => {
+  try {
+    const { q, isActive, category } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (q) filter.name = new RegExp(escapeRegex(q.trim()), 'i');
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (category) filter.category = category;
+
+    const groups = await Group.find(filter)
+      .populate('adminId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Group.countDocuments(filter);
+
+    res.json({
+      groups,
+      pagination: buildPagination(pageNum, limitNum, total)
+    });
+  } catch (error) {
+    console.error('Admin list groups error:', error);
+    res.status(500).json({ message: 'Failed to fetch groups', error: error.message });
+  }
+};
+
+// Deactivate a group
+const deactivateGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    if (isInvalidReason(reason)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!group.isActive) {
+      return res.status(400).json({ message: 'Group is already inactive' });
+    }
+
+    group.isActive = false;
+    await group.save();
+
+    await recordAdminAction(req, { action: 'group_deactivated', targetType: 'Group', targetId: group._id, reason });
+
+    res.json({ message: 'Group deactivated successfully' });
+  } catch (error) {
+    console.error('Admin deactivate group error:', error);
+    res.status(500).json({ message: 'Failed to deactivate group', error: error.message });
+  }
+};
+
+// Browse the admin audit log
+const getAuditLog = async (req, res) => {
+  try {
+    const { adminId, action, targetId } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (adminId && mongoose.Types.ObjectId.isValid(adminId)) filter.adminId = adminId;
+    if (targetId && mongoose.Types.ObjectId.isValid(targetId)) filter.targetId = targetId;
+    if (action) filter.action = action;
+
+    const entries = await AdminAuditLog.find(filter)
+      .populate('adminId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await AdminAuditLog.countDocuments(filter);
+
+    res.json({
+      entries,
+      pagination: buildPagination(pageNum, limitNum, total)
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ message: 'Failed to fetch audit log', error: error.message });
+  }
+};
+
+module.exports = {
+  searchUsers,
+  getUserDetails,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  changeUserRole,
+  verifyUserEmail,
+  listGroups,
+  deactivateGroup,
+  getAuditLog
+};
@@ -1,7 +1,10 @@
 const Feedback = require('../models/Feedback');
 const Question = require('../models/Question');
 const User = require('../models/User');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
 const mongoose = require('mongoose');
+const { checkGroupReadAccess, checkMute } = require('../services/groupAccess');
 
 // Submit feedback
 const submitFeedback = async (req, res) => {
@@ -21,10 +24,21 @@ const submitFeedback = async (req, res) => {
 
     // Check if question exists
     const question = await Question.findById(questionId);
-    if (!question || !question.isActive) {
+    if (!question || question.status !== 'active') {
       return res.status(404).json({ message: 'Question not found' });
     }
 
+    const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You must be a member of this group to give feedback' });
+    }
+
+    const group = await Group.findById(question.groupId).select('settings');
+    const muteDenial = checkMute(group, membership);
+    if (muteDenial) {
+      return res.status(muteDenial.status).json(muteDenial.body);
+    }
+
     // Validate difficulty rating type
     if (type === 'difficulty_rating' && !votedDifficulty) {
       return res.status(400).json({ message: 'Voted difficulty is required for difficulty rating' });
@@ -100,6 +114,17 @@ const getQuestionFeedback = async (req, res) => {
       return res.status(400).json({ message: 'Invalid question ID' });
     }
 
+    const question = await Question.findById(questionId).select('groupId status');
+    if (!question || question.status !== 'active') {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const group = await Group.findById(question.groupId);
+    const { denial } = await checkGroupReadAccess(group, req.user.userId, 'Access denied');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
     // Build filter
     const filter = { 
       questionId, 
@@ -233,6 +258,18 @@ const updateFeedback = async (req, res) => {
       return res.status(403).json({ message: 'You can only update your own feedback' });
     }
 
+    const question = await Question.findById(feedback.questionId).select('groupId');
+    const membership = question && await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You must be a member of this group to edit feedback' });
+    }
+
+    const group = await Group.findById(question.groupId).select('settings');
+    const muteDenial = checkMute(group, membership);
+    if (muteDenial) {
+      return res.status(muteDenial.status).json(muteDenial.body);
+    }
+
     // Check if feedback is still editable (within 24 hours)
     const editTimeLimit = 24 * 60 * 60 * 1000; // 24 hours
     if (Date.now() - feedback.createdAt.getTime() > editTimeLimit) {
@@ -317,6 +354,14 @@ const voteOnFeedback = async (req, res) => {
       return res.status(400).json({ message: 'You cannot vote on your own feedback' });
     }
 
+    const question = await Question.findById(feedback.questionId).select('groupId');
+    const membership = question && await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You must be a member of this group to vote on feedback' });
+    }
+
+    const previousUpvotes = feedback.helpfulVotes.upvotes.length;
+
     // Remove existing votes from user
     feedback.helpfulVotes.upvotes = feedback.helpfulVotes.upvotes.filter(
       vote => vote.user.toString() !== userId
@@ -334,6 +379,12 @@ const voteOnFeedback = async (req, res) => {
 
     await feedback.save();
 
+    // Keep the author's helpful vote count in step with upvotes received
+    const upvoteDelta = feedback.helpfulVotes.upvotes.length - previousUpvotes;
+    if (upvoteDelta !== 0) {
+      await User.updateOne({ _id: feedback.userId }, { $inc: { 'statistics.helpfulVotes': upvoteDelta } });
+    }
+
     res.json({
       message: `Feedback ${voteType}d successfully`,
       helpfulScore: feedback.helpfulScore
@@ -2,6 +2,35 @@ const Group = require('../models/Group');
 const GroupMember = require('../models/GroupMember');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const {
+  STAFF_ROLES,
+  outranks,
+  isBanActive,
+  banDenial,
+  checkStaffTwoFactor,
+  checkStaffAccess,
+  checkMemberPermission,
+  checkGroupReadAccess,
+  isMuteActive
+} = require('../services/groupAccess');
+const { checkCapacity, admitMember, decrementMemberCount } = require('../services/groupMembership');
+const { notify } = require('../services/notifier');
+const groupOwnership = require('../services/groupOwnership');
+const groupRoles = require('../services/groupRoles');
+const groupInvitations = require('../services/groupInvitations');
+const groupBans = require('../services/groupBans');
+const groupDirectory = require('../services/groupDirectory');
+const groupLeaderboard = require('../services/groupLeaderboard');
+const memberStats = require('../services/memberStats');
+const GroupAuditLog = require('../models/GroupAuditLog');
+const InviteLink = require('../models/InviteLink');
+const GroupInvitation = require('../models/GroupInvitation');
+const uploads = require('../services/uploads');
+
+const MAX_OPEN_INVITE_LINKS = 50;
+const MAX_INVITE_LINK_HOURS = 365 * 24;
+const MAX_INVITE_LINK_USES = 10000;
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
 
 // Create a new group
 const createGroup = async (req, res) => {
@@ -54,73 +83,135 @@ const createGroup = async (req, res) => {
   }
 };
 
+// Shared by joining with a code and joining a public group by ID: checks the user's existing
+// membership, then queues a join request or admits them, and sends the response
+const completeJoin = async (req, res, group, inviteLink = null) => {
+  const { message } = req.body;
+  const userId = req.user.userId;
+
+  // Check if user is already a member
+  const existingMembership = await GroupMember.findOne({
+    userId,
+    groupId: group._id
+  });
+
+  if (existingMembership?.status === 'active') {
+    return res.status(400).json({ message: 'You are already a member of this group' });
+  }
+  if (isBanActive(existingMembership)) {
+    const denial = banDenial(existingMembership);
+    return res.status(denial.status).json(denial.body);
+  }
+  if (existingMembership?.status === 'pending') {
+    return res.status(400).json({ message: 'Your request to join this group is waiting for approval' });
+  }
+
+  const groupResponse = {
+    _id: group._id,
+    name: group.name,
+    description: group.description,
+    category: group.category,
+    isPrivate: group.isPrivate,
+    adminId: group.adminId,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  };
+
+  const needsApproval = group.settings?.requireAdminApproval && !inviteLink?.autoApprove;
+  if (!needsApproval) {
+    const capacityDenial = await checkCapacity(group);
+    if (capacityDenial) {
+      return res.status(capacityDenial.status).json(capacityDenial.body);
+    }
+  }
+
+  // Take a use of the link last, once nothing else can turn the user away
+  if (inviteLink && !(await InviteLink.redeem(inviteLink._id))) {
+    return res.status(410).json({ message: 'This invite link is no longer available', code: 'INVITE_UNAVAILABLE' });
+  }
+
+  // Queue a join request for staff to review
+  if (needsApproval) {
+    const request = existingMembership || new GroupMember({ userId, groupId: group._id, role: 'member' });
+    request.status = 'pending';
+    request.joinRequest = { message: message?.trim(), requestedAt: new Date() };
+    request.inviteLinkId = inviteLink?._id;
+    await request.save();
+
+    const staff = await GroupMember.find({ groupId: group._id, status: 'active', role: { $in: STAFF_ROLES } }).select('userId');
+    const requester = await User.findById(userId).select('name');
+    await notify(staff.map(member => member.userId), {
+      type: 'join_request_received',
+      event: 'joinRequest',
+      groupId: group._id,
+      actorId: userId,
+      title: `New request to join ${group.name}`,
+      message: request.joinRequest.message
+        ? `${requester?.name} asked to join: "${request.joinRequest.message}"`
+        : `${requester?.name} asked to join the group`,
+      link: `/groups/${group._id}/join-requests`,
+      data: { requestId: request._id }
+    });
+
+    return res.status(202).json({
+      message: 'Join request sent. An admin or moderator will review it.',
+      group: groupResponse,
+      membership: {
+        status: 'pending',
+        requestedAt: request.joinRequest.requestedAt
+      }
+    });
+  }
+
+  const membership = await admitMember(group, userId, {
+    membership: existingMembership,
+    role: inviteLink?.defaultRole,
+    invitedBy: inviteLink?.createdBy,
+    inviteLinkId: inviteLink?._id
+  });
+
+  res.status(200).json({
+    message: 'Successfully joined the group',
+    group: groupResponse,
+    membership: {
+      role: membership.role,
+      joinedAt: membership.joinedAt
+    }
+  });
+};
+
 const joinGroup = async (req, res) => {
   try {
-    const { inviteCode } = req.body;
-    const userId = req.user.userId;
+    const { inviteCode, message } = req.body;
 
     if (!inviteCode) {
       return res.status(400).json({ message: 'Invite code is required' });
     }
 
-    // Find group by invite code
-    const group = await Group.findOne({
-      inviteCode: inviteCode.trim().toUpperCase(),
-      isActive: true
-    }).populate('adminId', 'name email');
+    if (message && (typeof message !== 'string' || message.length > 500)) {
+      return res.status(400).json({ message: 'Message must be at most 500 characters' });
+    }
 
-    if (!group) {
-      return res.status(404).json({ message: 'Invalid invite code or group not found' });
+    // The code is either one of the group's managed invite links or its own invite code
+    const code = inviteCode.trim().toUpperCase();
+    const inviteLink = await InviteLink.findOne({ code });
+    if (inviteLink && inviteLink.state !== 'active') {
+      return res.status(410).json({ message: `This invite link is ${inviteLink.state}`, code: 'INVITE_UNAVAILABLE' });
     }
 
-    // Check if user is already a member
-    const existingMembership = await GroupMember.findOne({
-      userId,
-      groupId: group._id
-    });
+    const group = await Group.findOne(
+      inviteLink ? { _id: inviteLink.groupId, isActive: true } : { inviteCode: code, isActive: true }
+    ).populate('adminId', 'name email');
 
-    if (existingMembership) {
-      if (existingMembership.status === 'active') {
-        return res.status(400).json({ message: 'You are already a member of this group' });
-      } else {
-        // Reactivate membership
-        existingMembership.status = 'active';
-        existingMembership.joinedAt = new Date();
-        await existingMembership.save();
-      }
-    } else {
-      // Create new membership
-      const newMembership = new GroupMember({
-        userId,
-        groupId: group._id,
-        role: 'member',
-        status: 'active',
-        joinedAt: new Date()
-      });
-      await newMembership.save();
+    if (!group) {
+      return res.status(404).json({ message: 'Invalid invite code or group not found' });
     }
 
-    // Return the complete group object with the correct _id
-    const groupResponse = {
-      _id: group._id,
-      name: group.name,
-      description: group.description,
-      category: group.category,
-      isPrivate: group.isPrivate,
-      adminId: group.adminId,
-      inviteCode: group.inviteCode,
-      createdAt: group.createdAt,
-      updatedAt: group.updatedAt
-    };
+    if (!inviteLink && group.inviteCodeExpiry && group.inviteCodeExpiry <= new Date()) {
+      return res.status(410).json({ message: 'This invite code has expired', code: 'INVITE_UNAVAILABLE' });
+    }
 
-    res.status(200).json({
-      message: 'Successfully joined the group',
-      group: groupResponse,
-      membership: {
-        role: existingMembership?.role || 'member',
-        joinedAt: existingMembership?.joinedAt || new Date()
-      }
-    });
+    await completeJoin(req, res, group, inviteLink);
   } catch (error) {
     console.error('Join group error:', error);
     res.status(500).json({
@@ -130,6 +221,93 @@ const joinGroup = async (req, res) => {
   }
 };
 
+// Browse and search public groups
+const discoverGroups = async (req, res) => {
+  try {
+    const { category } = req.query;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const sort = req.query.sort || (q ? 'relevance' : 'members');
+
+    if (q.length > 100) {
+      return res.status(400).json({ message: 'Search text must be at most 100 characters' });
+    }
+
+    if (!groupDirectory.DISCOVER_SORTS[sort] || (sort === 'relevance' && !q)) {
+      return res.status(400).json({ message: 'sort must be members, activity, questions, newest, or relevance with a search' });
+    }
+
+    if (category && !Group.schema.path('category').enumValues.includes(category)) {
+      return res.status(400).json({ message: 'Unknown category' });
+    }
+
+    // Accept ?tags=a,b as well as ?tags=a&tags=b
+    const tags = [].concat(req.query.tags || [])
+      .flatMap(value => String(value).split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+    if (tags.length > 10) {
+      return res.status(400).json({ message: 'Filter by at most 10 tags' });
+    }
+
+    const { groups, total, facets } = await groupDirectory.discoverGroups({
+      viewerId: req.user.userId,
+      q,
+      category,
+      tags,
+      sort,
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum
+    });
+
+    res.json({
+      groups,
+      facets,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Discover groups error:', error);
+    res.status(500).json({ message: 'Failed to fetch groups', error: error.message });
+  }
+};
+
+// Public groups can be joined from the directory without an invite code
+const joinPublicGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    if (message && (typeof message !== 'string' || message.length > 500)) {
+      return res.status(400).json({ message: 'Message must be at most 500 characters' });
+    }
+
+    const group = await Group.findOne({ _id: id, isActive: true }).populate('adminId', 'name email');
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (group.isPrivate) {
+      return res.status(403).json({ message: 'This group is private; you need an invite to join' });
+    }
+
+    await completeJoin(req, res, group);
+  } catch (error) {
+    console.error('Join public group error:', error);
+    res.status(500).json({ message: 'Failed to join group', error: error.message });
+  }
+};
+
 // Get user's groups
 const getUserGroups = async (req, res) => {
   try {
@@ -159,7 +337,8 @@ const getUserGroups = async (req, res) => {
           category: group.category,
           isPrivate: group.isPrivate,
           adminId: group.adminId,
-          inviteCode: group.inviteCode,
+          // The invite code lets people in, so only staff get to see it
+          inviteCode: membership.status === 'active' && STAFF_ROLES.includes(membership.role) ? group.inviteCode : undefined,
           createdAt: group.createdAt,
           updatedAt: group.updatedAt,
           userRole: membership.role, // User's role in this group
@@ -212,25 +391,44 @@ const getGroupDetails = async (req, res) => {
     }
 
     const group = await Group.findById(id)
-      .populate('adminId', 'name email avatar')
-      .populate('moderators', 'name email avatar');
+      .populate('adminId', 'name email avatar');
 
     if (!group || !group.isActive) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    // Check if user is a member
+    // Check if user is a member; people waiting for approval may see the group they asked to join
     const membership = await GroupMember.findOne({ userId, groupId: id });
 
-    if (!membership && group.isPrivate) {
+    if (isBanActive(membership)) {
+      const denial = banDenial(membership);
+      return res.status(denial.status).json(denial.body);
+    }
+
+    if (group.isPrivate && !['active', 'pending'].includes(membership?.status)) {
       return res.status(403).json({ message: 'This is a private group' });
     }
 
+    // Staff see how many join requests are waiting, and the invite code
+    const isStaff = membership?.status === 'active' && STAFF_ROLES.includes(membership.role);
+    const pendingJoinRequests = isStaff
+      ? await GroupMember.countDocuments({ groupId: id, status: 'pending' })
+      : undefined;
+
+    // Moderators come from the member roles, which are the only record of who moderates
+    const moderatorMemberships = await GroupMember.find({ groupId: id, role: 'moderator', status: 'active' })
+      .populate('userId', 'name email avatar');
+
     // Return group directly (not nested in group property)
     res.json({
       ...group.toObject(),
+      moderators: moderatorMemberships.map(moderator => moderator.userId).filter(Boolean),
+      inviteCode: isStaff ? group.inviteCode : undefined,
+      inviteCodeExpiry: isStaff ? group.inviteCodeExpiry : undefined,
       userRole: membership?.role || null,
-      userStatus: membership?.status || null
+      userStatus: membership?.status || null,
+      userMutedUntil: isMuteActive(membership) ? membership.mutedUntil : null,
+      pendingJoinRequests
     });
   } catch (error) {
     console.error('Get group details error:', error);
@@ -254,10 +452,10 @@ const updateGroup = async (req, res) => {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    // Check if user is admin or moderator
-    const membership = await GroupMember.findOne({ userId, groupId: id });
-    if (!membership || (membership.role !== 'admin' && membership.role !== 'moderator')) {
-      return res.status(403).json({ message: 'Only admins and moderators can update group details' });
+    // Active admins and moderators only, so banned or departed staff keep no access
+    const { membership, denial } = await checkStaffAccess(group, userId, 'Only admins and moderators can update group details');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
     // Update fields
@@ -267,7 +465,15 @@ const updateGroup = async (req, res) => {
     if (tags) group.tags = tags.map(tag => tag.trim().toLowerCase());
     if (maxMembers) group.maxMembers = maxMembers;
     if (settings && membership.role === 'admin') {
-      group.settings = { ...group.settings, ...settings };
+      // Read-only mode only changes through setReadOnlyMode, which records it in the audit log
+      const { muteMembers, ...otherSettings } = settings;
+      group.settings = { ...group.settings, ...otherSettings };
+    }
+
+    // Checked after merging settings so an admin cannot turn the requirement on without 2FA
+    const twoFactorDenial = await checkStaffTwoFactor(group, membership);
+    if (twoFactorDenial) {
+      return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
     }
 
     await group.save();
@@ -282,350 +488,1834 @@ const updateGroup = async (req, res) => {
   }
 };
 
-// Leave group
-const leaveGroup = async (req, res) => {
+// Upload a group avatar; admins and moderators only
+const uploadGroupAvatar = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: 'Invalid group ID' });
     }
 
     const group = await Group.findById(id);
-    if (!group) {
+    if (!group || !group.isActive) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    const membership = await GroupMember.findOne({ userId, groupId: id });
-    if (!membership) {
-      return res.status(400).json({ message: 'You are not a member of this group' });
-    }
-
-    // Check if user is the admin
-    if (membership.role === 'admin') {
-      const otherMembers = await GroupMember.countDocuments({
-        groupId: id,
-        status: 'active',
-        userId: { $ne: userId }
-      });
-
-      if (otherMembers > 0) {
-        return res.status(400).json({
-          message: 'You must transfer admin role to another member before leaving'
-        });
-      } else {
-        // Delete group if admin is the only member
-        group.isActive = false;
-        await group.save();
-      }
+    const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can change the group avatar');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
-    // Update membership status
-    membership.status = 'left';
-    await membership.save();
+    const previousKeys = group.avatarImage?.keys || [];
+    const { urls, keys } = await uploads.saveAvatar('groups', group._id, req.file);
 
-    // Update group statistics
-    group.statistics.totalMembers = Math.max(0, group.statistics.totalMembers - 1);
+    group.avatar = urls.medium;
+    group.avatarImage = { ...urls, keys };
     await group.save();
+    await uploads.removeFiles(previousKeys);
 
-    res.json({ message: 'Successfully left the group' });
+    res.json({ message: 'Group avatar updated successfully', avatar: group.avatar, avatarImage: urls });
   } catch (error) {
-    console.error('Leave group error:', error);
-    res.status(500).json({ message: 'Failed to leave group', error: error.message });
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Upload group avatar error:', error);
+    res.status(500).json({ message: 'Failed to upload group avatar', error: error.message });
   }
 };
 
-// Remove member (admin only)
-const removeMember = async (req, res) => {
+// Remove the group avatar; admins and moderators only
+const removeGroupAvatar = async (req, res) => {
   try {
-    const { id, memberId } = req.params;
-    const { reason } = req.body;
-    const userId = req.user.userId;
-
-    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(memberId)) {
-      return res.status(400).json({ message: 'Invalid ID' });
-    }
-
-    // Check if user is admin
-    const adminMembership = await GroupMember.findOne({
-      userId,
-      groupId: id,
-      role: 'admin'
-    });
+    const { id } = req.params;
 
-    if (!adminMembership) {
-      return res.status(403).json({ message: 'Only group admins can remove members' });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
     }
 
-    // Find member to remove
-    const memberToRemove = await GroupMember.findOne({
-      userId: memberId,
-      groupId: id
-    });
-
-    if (!memberToRemove) {
-      return res.status(404).json({ message: 'Member not found' });
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
     }
 
-    if (memberToRemove.role === 'admin') {
-      return res.status(400).json({ message: 'Cannot remove group admin' });
+    const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can change the group avatar');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
-    // Update member status
-    memberToRemove.status = 'banned';
-    memberToRemove.banReason = reason;
-    memberToRemove.bannedAt = new Date();
-    memberToRemove.bannedBy = userId;
-    await memberToRemove.save();
+    const previousKeys = group.avatarImage?.keys || [];
+    group.avatar = '';
+    group.avatarImage = undefined;
+    await group.save();
+    await uploads.removeFiles(previousKeys);
 
-    res.json({ message: 'Member removed successfully' });
+    res.json({ message: 'Group avatar removed successfully' });
   } catch (error) {
-    console.error('Remove member error:', error);
-    res.status(500).json({ message: 'Failed to remove member', error: error.message });
+    console.error('Remove group avatar error:', error);
+    res.status(500).json({ message: 'Failed to remove group avatar', error: error.message });
   }
 };
 
-// Generate new invite code
-const generateInviteCode = async (req, res) => {
+// List join requests; admins and moderators only
+const getJoinRequests = async (req, res) => {
   try {
     const { id } = req.params;
-    const { expiryHours } = req.body;
-    const userId = req.user.userId;
+    const { status = 'pending' } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: 'Invalid group ID' });
     }
 
+    if (!['pending', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be pending or rejected' });
+    }
+
     const group = await Group.findById(id);
-    if (!group) {
+    if (!group || !group.isActive) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    // Check if user has permission
-    const membership = await GroupMember.findOne({ userId, groupId: id });
-    if (!membership ||
-      (membership.role !== 'admin' &&
-        (membership.role !== 'member' || !group.settings.allowMemberInvites))) {
-      return res.status(403).json({ message: 'You do not have permission to generate invite codes' });
+    const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can review join requests');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
-    // Generate new invite code
-    const crypto = require('crypto');
-    group.inviteCode = crypto.randomBytes(4).toString('hex').toUpperCase();
-
-    if (expiryHours) {
-      group.inviteCodeExpiry = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
-    } else {
-      group.inviteCodeExpiry = undefined;
-    }
+    const filter = { groupId: id, status };
+    const requests = await GroupMember.find(filter)
+      .populate('userId', 'name email avatar')
+      .populate('joinRequest.reviewedBy', 'name')
+      .select('userId status joinRequest createdAt')
+      .sort(status === 'pending' ? { 'joinRequest.requestedAt': 1 } : { 'joinRequest.reviewedAt': -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
 
-    await group.save();
+    const total = await GroupMember.countDocuments(filter);
+    const pendingCount = status === 'pending'
+      ? total
+      : await GroupMember.countDocuments({ groupId: id, status: 'pending' });
 
     res.json({
-      message: 'New invite code generated',
-      inviteCode: group.inviteCode,
-      expiresAt: group.inviteCodeExpiry
+      requests,
+      pendingCount,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
     });
   } catch (error) {
-    console.error('Generate invite code error:', error);
-    res.status(500).json({ message: 'Failed to generate invite code', error: error.message });
+    console.error('Get join requests error:', error);
+    res.status(500).json({ message: 'Failed to fetch join requests', error: error.message });
   }
 };
 
+// Load a pending request for review by staff. Returns { group, request } or { denial }.
+const loadJoinRequestForReview = async (req) => {
+  const { id, requestId } = req.params;
 
-const getGroupMembers = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.userId;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(requestId)) {
+    return { denial: { status: 400, body: { message: 'Invalid group or request ID' } } };
+  }
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: 'Invalid group ID' });
-    }
+  const group = await Group.findById(id);
+  if (!group || !group.isActive) {
+    return { denial: { status: 404, body: { message: 'Group not found' } } };
+  }
 
-    // Check if user is a member of the group
-    const membership = await GroupMember.findOne({ userId, groupId: id, status: 'active' });
-    const group = await Group.findById(id);
+  const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can review join requests');
+  if (denial) {
+    return { denial };
+  }
 
-    if (!group) {
-      return res.status(404).json({ message: 'Group not found' });
+  const request = await GroupMember.findOne({ _id: requestId, groupId: id, status: 'pending' });
+  if (!request) {
+    return { denial: { status: 404, body: { message: 'Join request not found' } } };
+  }
+
+  return { group, request };
+};
+
+// Approve a join request
+const approveJoinRequest = async (req, res) => {
+  try {
+    const { group, request, denial } = await loadJoinRequestForReview(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
-    if (!membership && group.isPrivate) {
-      return res.status(403).json({ message: 'Access denied' });
+    const capacityDenial = await checkCapacity(group);
+    if (capacityDenial) {
+      return res.status(capacityDenial.status).json(capacityDenial.body);
     }
 
-    const members = await GroupMember.find({
-      groupId: id,
-      status: 'active'
-    })
-      .populate('userId', 'name email avatar')
-      .sort({ joinedAt: 1 });
+    // A request made through a link still open gets the role the link hands out
+    const inviteLink = request.inviteLinkId ? await InviteLink.findById(request.inviteLinkId) : null;
 
-    // Import Question model
-    const Question = require('../models/Question');
+    request.joinRequest.reviewedBy = req.user.userId;
+    request.joinRequest.reviewedAt = new Date();
+    const membership = await admitMember(group, request.userId, {
+      membership: request,
+      role: inviteLink && !inviteLink.revokedAt ? inviteLink.defaultRole : 'member',
+      invitedBy: inviteLink?.createdBy,
+      inviteLinkId: request.inviteLinkId
+    });
 
-    // Calculate real statistics for each member
-    const membersWithStats = await Promise.all(
-      members.map(async (member) => {
-        try {
-
-          // Get total questions in the group
-          const totalQuestions = await Question.countDocuments({
-            groupId: id,
-            status: 'active'
-          });
-
-
-          // Get questions with member responses
-          const questionsWithResponses = await Question.find({
-            groupId: id,
-            status: 'active',
-            'memberResponses.userId': member.userId._id
-          });
-
-          // Calculate statistics
-          const totalResponses = questionsWithResponses.length;
-          const solvedCount = questionsWithResponses.filter(q =>
-            q.memberResponses.some(r =>
-              r.userId.toString() === member.userId._id.toString() && r.status === 'solved'
-            )
-          ).length;
-
-          const successRate = totalResponses > 0 ? Math.round((solvedCount / totalResponses) * 100) : 0;
-
-          // Calculate current streak
-          const recentQuestions = await Question.find({
-            groupId: id,
-            status: 'active',
-            'memberResponses.userId': member.userId._id
-          })
-            .sort({ createdAt: -1 })
-            .limit(20);
-
-          let currentStreak = 0;
-          for (const question of recentQuestions) {
-            const response = question.memberResponses.find(r =>
-              r.userId.toString() === member.userId._id.toString()
-            );
-            if (response && response.status === 'solved') {
-              currentStreak++;
-            } else {
-              break;
-            }
-          }
-
-          // Calculate average time to solve
-          const solvedQuestions = questionsWithResponses.filter(q =>
-            q.memberResponses.some(r =>
-              r.userId.toString() === member.userId._id.toString() &&
-              r.status === 'solved' &&
-              r.timeToSolve
-            )
-          );
-
-          const averageTimeToSolve = solvedQuestions.length > 0
-            ? Math.round(
-              solvedQuestions.reduce((sum, q) => {
-                const response = q.memberResponses.find(r =>
-                  r.userId.toString() === member.userId._id.toString()
-                );
-                return sum + (response.timeToSolve || 0);
-              }, 0) / solvedQuestions.length
-            )
-            : null;
-
-          const memberStats = {
-            problemsSolved: solvedCount,
-            successRate: successRate,
-            currentStreak: currentStreak,
-            totalResponses: totalResponses,
-            totalQuestions: totalQuestions,
-            averageTimeToSolve: averageTimeToSolve,
-            questionsAttempted: totalResponses,
-            rank: null // Will be calculated after sorting
-          };
-
-        
-
-          return {
-            _id: member._id,
-            userId: member.userId,
-            role: member.role,
-            joinedAt: member.joinedAt,
-            lastActive: member.lastActive || member.joinedAt,
-            stats: memberStats // Make sure this is included
-          };
-        } catch (error) {
-          console.error(`Error calculating stats for member ${member.userId._id}:`, error);
-          // Return member with default stats if calculation fails
-          return {
-            _id: member._id,
-            userId: member.userId,
-            role: member.role,
-            joinedAt: member.joinedAt,
-            lastActive: member.lastActive || member.joinedAt,
-            stats: {
-              problemsSolved: 0,
-              successRate: 0,
-              currentStreak: 0,
-              totalResponses: 0,
-              totalQuestions: 0,
-              averageTimeToSolve: null,
-              questionsAttempted: 0,
-              rank: null
-            }
-          };
-        }
-      })
-    );
+    await notify([request.userId], {
+      type: 'join_request_approved',
+      event: 'joinRequest',
+      groupId: group._id,
+      actorId: req.user.userId,
+      title: `You joined ${group.name}`,
+      message: `Your request to join ${group.name} was approved.`,
+      link: `/groups/${group._id}`,
+      data: { requestId: request._id }
+    });
+
+    res.json({ message: 'Join request approved', membership });
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({ message: 'Failed to approve join request', error: error.message });
+  }
+};
 
-    // Calculate ranks based on problems solved
-    const sortedMembers = [...membersWithStats].sort((a, b) =>
-      (b.stats.problemsSolved || 0) - (a.stats.problemsSolved || 0)
-    );
+// Reject a join request with an optional reason
+const rejectJoinRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
 
-    sortedMembers.forEach((member, index) => {
-      const originalMember = membersWithStats.find(m => m._id.toString() === member._id.toString());
-      if (originalMember && originalMember.stats) {
-        originalMember.stats.rank = index + 1;
-      }
-    });
+    if (reason && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
 
+    const { group, request, denial } = await loadJoinRequestForReview(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
 
-    res.json({
-      members: membersWithStats
+    request.status = 'rejected';
+    request.joinRequest.reviewedBy = req.user.userId;
+    request.joinRequest.reviewedAt = new Date();
+    request.joinRequest.rejectionReason = reason?.trim();
+    await request.save();
+
+    await notify([request.userId], {
+      type: 'join_request_rejected',
+      event: 'joinRequest',
+      groupId: group._id,
+      actorId: req.user.userId,
+      title: `Your request to join ${group.name} was declined`,
+      message: request.joinRequest.rejectionReason
+        ? `Reason: ${request.joinRequest.rejectionReason}`
+        : `Your request to join ${group.name} was declined.`,
+      data: { requestId: request._id }
     });
+
+    res.json({ message: 'Join request rejected' });
   } catch (error) {
-    console.error('Get group members error:', error);
-    res.status(500).json({ message: 'Failed to fetch members', error: error.message });
+    console.error('Reject join request error:', error);
+    res.status(500).json({ message: 'Failed to reject join request', error: error.message });
   }
 };
 
-// Add this to your groupController.js
-const getGroupQuestions = async (req, res) => {
+// Withdraw your own pending join request
+const cancelJoinRequest = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: 'Invalid group ID' });
     }
 
-    // Check if group exists and user has access
+    const result = await GroupMember.deleteOne({ userId: req.user.userId, groupId: id, status: 'pending' });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'No pending join request for this group' });
+    }
+
+    res.json({ message: 'Join request cancelled' });
+  } catch (error) {
+    console.error('Cancel join request error:', error);
+    res.status(500).json({ message: 'Failed to cancel join request', error: error.message });
+  }
+};
+
+// Hand the group to another active member; needs the current owner's password
+const transferGroupOwnership = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { newOwnerId, password, demoteToModerator = false, reason } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(newOwnerId)) {
+      return res.status(400).json({ message: 'Invalid group or user ID' });
+    }
+
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+
+    if (newOwnerId === userId) {
+      return res.status(400).json({ message: 'You already own this group' });
+    }
+
     const group = await Group.findById(id);
-    if (!group) {
+    if (!group || !group.isActive) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    const membership = await GroupMember.findOne({
-      userId,
-      groupId: id,
-      status: 'active'
+    const membership = await GroupMember.findOne({ userId, groupId: id, status: 'active' });
+    if (group.adminId.toString() !== userId || membership?.role !== 'admin') {
+      return res.status(403).json({ message: 'Only the group owner can transfer ownership' });
+    }
+
+    const twoFactorDenial = await checkStaffTwoFactor(group, membership);
+    if (twoFactorDenial) {
+      return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+    }
+
+    const user = await User.findById(userId);
+    if (!user.hasPassword) {
+      return res.status(400).json({ message: 'Set a password on your account before transferring ownership' });
+    }
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const newOwnerMembership = await GroupMember.findOne({ userId: newOwnerId, groupId: id, status: 'active' });
+    if (!newOwnerMembership) {
+      return res.status(400).json({ message: 'The new owner must be an active member of the group' });
+    }
+
+    const previousOwnerRole = demoteToModerator === true ? 'moderator' : 'member';
+    await groupOwnership.transferOwnership({
+      group,
+      fromUserId: user._id,
+      toUserId: newOwnerMembership.userId,
+      previousOwnerRole,
+      actorId: user._id,
+      reason: reason?.trim()
     });
 
-    if (!membership && group.isPrivate) {
-      return res.status(403).json({ message: 'Access denied to private group' });
+    await notify([newOwnerMembership.userId], {
+      type: 'group_ownership_received',
+      event: 'membershipChange',
+      groupId: group._id,
+      actorId: user._id,
+      title: `You now own ${group.name}`,
+      message: `${user.name} transferred ownership of ${group.name} to you.`,
+      link: `/groups/${group._id}`
+    });
+
+    res.json({
+      message: 'Ownership transferred successfully',
+      adminId: newOwnerMembership.userId,
+      previousOwnerRole
+    });
+  } catch (error) {
+    if (error.code === 'TRANSFER_CONFLICT') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({ message: 'Failed to transfer ownership', error: error.message });
+  }
+};
+
+// Group history; admins and moderators only
+const getGroupAuditLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can view the group history');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const filter = { groupId: id };
+    if (action) filter.action = action;
+
+    const entries = await GroupAuditLog.find(filter)
+      .populate('actorId', 'name avatar')
+      .populate('targetUserId', 'name avatar')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await GroupAuditLog.countDocuments(filter);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get group audit log error:', error);
+    res.status(500).json({ message: 'Failed to fetch group history', error: error.message });
+  }
+};
+
+// Load the group, require the caller to be its admin and find the target's active membership.
+// Returns { group, member, denial }.
+const loadMemberForAdmin = async (req, message) => {
+  const { id, memberId } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(memberId)) {
+    return { denial: { status: 400, body: { message: 'Invalid ID' } } };
+  }
+
+  const group = await Group.findById(id);
+  if (!group || !group.isActive) {
+    return { denial: { status: 404, body: { message: 'Group not found' } } };
+  }
+
+  const adminMembership = await GroupMember.findOne({ userId, groupId: id, status: 'active', role: 'admin' });
+  if (!adminMembership) {
+    return { denial: { status: 403, body: { message } } };
+  }
+
+  const twoFactorDenial = await checkStaffTwoFactor(group, adminMembership);
+  if (twoFactorDenial) {
+    return { denial: twoFactorDenial };
+  }
+
+  const member = await GroupMember.findOne({ userId: memberId, groupId: id, status: 'active' });
+  if (!member) {
+    return { denial: { status: 404, body: { message: 'Member not found' } } };
+  }
+
+  return { group, member, denial: null };
+};
+
+// Promote (moderator: true) or demote (moderator: false) a member; admin only
+const changeModeratorRole = (moderator) => async (req, res) => {
+  try {
+    const { group, member, denial } = await loadMemberForAdmin(req, 'Only the group admin can manage moderators');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    if (member.role === 'admin') {
+      return res.status(400).json({ message: 'The group admin\'s role cannot be changed' });
+    }
+    if (member.role === (moderator ? 'moderator' : 'member')) {
+      return res.status(400).json({ message: moderator ? 'This member is already a moderator' : 'This member is not a moderator' });
+    }
+
+    await groupRoles.setModerator({
+      group,
+      userId: member.userId,
+      moderator,
+      actorId: req.user.userId,
+      reason: req.body?.reason?.trim()
+    });
+
+    await notify([member.userId], {
+      type: 'group_role_changed',
+      event: 'membershipChange',
+      groupId: group._id,
+      actorId: req.user.userId,
+      title: moderator ? `You are now a moderator of ${group.name}` : `You are no longer a moderator of ${group.name}`,
+      message: moderator
+        ? `You can now review join requests and help manage ${group.name}.`
+        : `Your role in ${group.name} has been changed to member.`,
+      link: `/groups/${group._id}`,
+      data: { role: moderator ? 'moderator' : 'member' }
+    });
+
+    res.json({
+      message: moderator ? 'Member promoted to moderator' : 'Moderator demoted to member',
+      userId: member.userId,
+      role: moderator ? 'moderator' : 'member'
+    });
+  } catch (error) {
+    if (error.code === 'ROLE_CONFLICT') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Change moderator role error:', error);
+    res.status(500).json({ message: 'Failed to change member role', error: error.message });
+  }
+};
+
+const promoteModerator = changeModeratorRole(true);
+const demoteModerator = changeModeratorRole(false);
+
+// Edit a member's canPostQuestions / canComment / canInviteMembers flags; admin only.
+// canInviteMembers can also be null to follow the group's allowMemberInvites setting
+const updateMemberPermissions = async (req, res) => {
+  try {
+    const { permissions, reason } = req.body;
+
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+      return res.status(400).json({ message: 'permissions must be an object' });
+    }
+
+    for (const [name, value] of Object.entries(permissions)) {
+      if (!groupRoles.MEMBER_PERMISSIONS.includes(name)) {
+        return res.status(400).json({ message: `Unknown permission: ${name}` });
+      }
+      // null hands the invite permission back to the group setting
+      if (typeof value !== 'boolean' && !(name === 'canInviteMembers' && value === null)) {
+        return res.status(400).json({ message: `${name} must be true or false` });
+      }
+    }
+
+    const { group, member, denial } = await loadMemberForAdmin(req, 'Only the group admin can change member permissions');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    if (member.role === 'admin') {
+      return res.status(400).json({ message: 'The group admin\'s permissions cannot be changed' });
+    }
+
+    const changed = await groupRoles.updatePermissions({
+      group,
+      membership: member,
+      permissions,
+      actorId: req.user.userId,
+      reason: reason?.trim()
+    });
+
+    res.json({
+      message: changed.length > 0 ? 'Permissions updated successfully' : 'No permissions changed',
+      userId: member.userId,
+      permissions: member.permissions,
+      changed
+    });
+  } catch (error) {
+    console.error('Update member permissions error:', error);
+    res.status(500).json({ message: 'Failed to update permissions', error: error.message });
+  }
+};
+
+// Leave group
+const leaveGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const membership = await GroupMember.findOne({ userId, groupId: id, status: 'active' });
+    if (!membership) {
+      return res.status(400).json({ message: 'You are not a member of this group' });
+    }
+
+    // Check if user is the admin
+    if (membership.role === 'admin') {
+      const otherMembers = await GroupMember.countDocuments({
+        groupId: id,
+        status: 'active',
+        userId: { $ne: userId }
+      });
+
+      if (otherMembers > 0) {
+        return res.status(400).json({
+          message: 'You must transfer ownership to another member before leaving'
+        });
+      } else {
+        // Delete group if admin is the only member
+        group.isActive = false;
+        await group.save();
+      }
+    }
+
+    // Update membership status
+    groupRoles.clearModerator(membership);
+    membership.status = 'left';
+    await membership.save();
+
+    // Update group statistics
+    await decrementMemberCount(group._id);
+
+    res.json({ message: 'Successfully left the group' });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({ message: 'Failed to leave group', error: error.message });
+  }
+};
+
+// Remove member (admin only)
+const removeMember = async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+    const { reason, durationHours } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+
+    const durationError = validateBanDuration(durationHours);
+    if (durationError) {
+      return res.status(400).json({ message: durationError });
+    }
+
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { membership: staffMembership, denial } = await checkStaffAccess(group, userId, 'Only admins and moderators can remove members');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    // Find member to remove
+    const memberToRemove = await GroupMember.findOne({
+      userId: memberId,
+      groupId: id
+    });
+
+    if (!memberToRemove || isBanActive(memberToRemove)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (!outranks(staffMembership.role, memberToRemove.role)) {
+      return res.status(403).json({ message: memberToRemove.role === 'admin' ? 'Cannot remove group admin' : 'Moderators can only remove members' });
+    }
+
+    // Removing someone bans them, so they cannot come straight back with an invite code
+    const banned = await groupBans.banMember({
+      group,
+      userId: memberToRemove.userId,
+      membership: memberToRemove,
+      actorId: userId,
+      reason: reason?.trim(),
+      durationHours
+    });
+    await notifyBan(group, banned, userId);
+
+    res.json({ message: 'Member removed successfully', bannedUntil: banned.bannedUntil || null });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Failed to remove member', error: error.message });
+  }
+};
+
+// Returns an error message, or null when the duration is absent or valid
+const validateBanDuration = (durationHours) => {
+  if (durationHours === undefined || durationHours === null) {
+    return null;
+  }
+  if (typeof durationHours !== 'number' || durationHours <= 0 || durationHours > groupBans.MAX_BAN_HOURS) {
+    return `durationHours must be between 0 and ${groupBans.MAX_BAN_HOURS}; leave it out for a permanent ban`;
+  }
+  return null;
+};
+
+const notifyBan = (group, membership, actorId) => notify([membership.userId], {
+  type: 'group_banned',
+  event: 'membershipChange',
+  groupId: group._id,
+  actorId,
+  title: `You were banned from ${group.name}`,
+  message: [
+    membership.bannedUntil ? `The ban ends on ${membership.bannedUntil.toUTCString()}.` : 'The ban is permanent.',
+    membership.banReason ? `Reason: ${membership.banReason}` : null,
+    'You can appeal it once from the group page.'
+  ].filter(Boolean).join(' '),
+  link: `/groups/${group._id}`,
+  data: { bannedUntil: membership.bannedUntil || null }
+});
+
+// Ban list; active bans by default, `includeExpired=true` adds timed bans that have run out
+// and `appeal=pending` narrows it to bans waiting for an appeal decision
+const getGroupBans = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { includeExpired, appeal } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can view bans');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const filter = { groupId: id, status: 'banned' };
+    if (includeExpired !== 'true') {
+      filter.$or = [{ bannedUntil: null }, { bannedUntil: { $gt: new Date() } }];
+    }
+    if (appeal === 'pending') {
+      filter['banAppeal.status'] = 'pending';
+    }
+
+    const bans = await GroupMember.find(filter)
+      .select('userId role banReason bannedAt bannedBy bannedUntil banAppeal')
+      .populate('userId', 'name avatar')
+      .populate('bannedBy', 'name avatar')
+      .sort({ bannedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await GroupMember.countDocuments(filter);
+
+    res.json({
+      bans: bans.map(ban => ({ ...ban.toObject(), active: isBanActive(ban) })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get group bans error:', error);
+    res.status(500).json({ message: 'Failed to fetch bans', error: error.message });
+  }
+};
+
+// Ban a member, or pre-emptively ban someone who is not in the group
+const banUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId: targetUserId, reason, durationHours } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ message: 'Invalid group or user ID' });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    const durationError = validateBanDuration(durationHours);
+    if (durationError) {
+      return res.status(400).json({ message: durationError });
+    }
+
+    if (targetUserId === userId) {
+      return res.status(400).json({ message: 'You cannot ban yourself' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { membership: staffMembership, denial } = await checkStaffAccess(group, userId, 'Only admins and moderators can ban users');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const targetUser = await User.findOne({ _id: targetUserId, deletedAt: null }).select('_id');
+    if (!targetUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const existing = await GroupMember.findOne({ userId: targetUserId, groupId: id });
+    if (isBanActive(existing)) {
+      return res.status(400).json({ message: 'This user is already banned' });
+    }
+    if (!outranks(staffMembership.role, existing?.status === 'active' ? existing.role : 'member')) {
+      return res.status(403).json({ message: 'You can only ban people below your own role' });
+    }
+
+    const banned = await groupBans.banMember({
+      group,
+      userId: targetUser._id,
+      membership: existing,
+      actorId: userId,
+      reason: reason?.trim(),
+      durationHours
+    });
+    await notifyBan(group, banned, userId);
+
+    res.status(201).json({
+      message: 'User banned',
+      ban: {
+        userId: banned.userId,
+        banReason: banned.banReason,
+        bannedAt: banned.bannedAt,
+        bannedUntil: banned.bannedUntil || null
+      }
+    });
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(500).json({ message: 'Failed to ban user', error: error.message });
+  }
+};
+
+// Load a banned membership of the group for a staff action. Returns { group, ban, denial }.
+const loadBanForReview = async (req, message) => {
+  const { id, userId: bannedUserId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(bannedUserId)) {
+    return { denial: { status: 400, body: { message: 'Invalid group or user ID' } } };
+  }
+
+  const group = await Group.findById(id);
+  if (!group || !group.isActive) {
+    return { denial: { status: 404, body: { message: 'Group not found' } } };
+  }
+
+  const { denial } = await checkStaffAccess(group, req.user.userId, message);
+  if (denial) {
+    return { denial };
+  }
+
+  const ban = await GroupMember.findOne({ userId: bannedUserId, groupId: id, status: 'banned' });
+  if (!ban) {
+    return { denial: { status: 404, body: { message: 'Ban not found' } } };
+  }
+
+  return { group, ban };
+};
+
+const unbanUser = async (req, res) => {
+  try {
+    const { group, ban, denial } = await loadBanForReview(req, 'Only admins and moderators can lift bans');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const wasActive = isBanActive(ban);
+    await groupBans.unbanMember({ group, membership: ban, actorId: req.user.userId, reason: req.body?.reason?.trim() });
+
+    if (wasActive) {
+      await notify([ban.userId], {
+        type: 'group_unbanned',
+        event: 'membershipChange',
+        groupId: group._id,
+        actorId: req.user.userId,
+        title: `Your ban from ${group.name} was lifted`,
+        message: `You can join ${group.name} again.`,
+        link: `/groups/${group._id}`
+      });
+    }
+
+    res.json({ message: 'Ban lifted' });
+  } catch (error) {
+    console.error('Unban user error:', error);
+    res.status(500).json({ message: 'Failed to lift ban', error: error.message });
+  }
+};
+
+// The banned user asks staff to reconsider; one appeal per ban
+const submitBanAppeal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    if (!message || typeof message !== 'string' || !message.trim() || message.length > 1000) {
+      return res.status(400).json({ message: 'An appeal message of at most 1000 characters is required' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const ban = await GroupMember.findOne({ userId, groupId: id, status: 'banned' });
+    if (!isBanActive(ban)) {
+      return res.status(400).json({ message: 'You are not banned from this group' });
+    }
+
+    if (ban.banAppeal?.submittedAt) {
+      return res.status(400).json({ message: 'You have already appealed this ban' });
+    }
+
+    ban.banAppeal = { message: message.trim(), submittedAt: new Date(), status: 'pending' };
+    await ban.save();
+
+    const staff = await GroupMember.find({ groupId: id, status: 'active', role: { $in: STAFF_ROLES } }).select('userId');
+    const user = await User.findById(userId).select('name');
+    await notify(staff.map(member => member.userId), {
+      type: 'ban_appeal_received',
+      event: 'membershipChange',
+      groupId: group._id,
+      actorId: userId,
+      title: `${user.name} appealed their ban from ${group.name}`,
+      message: ban.banAppeal.message,
+      link: `/groups/${group._id}/bans`,
+      data: { userId }
+    });
+
+    res.status(201).json({ message: 'Appeal submitted', appeal: ban.banAppeal });
+  } catch (error) {
+    console.error('Submit ban appeal error:', error);
+    res.status(500).json({ message: 'Failed to submit appeal', error: error.message });
+  }
+};
+
+// Turn an appeal down and keep the ban; accepting one is done by lifting the ban
+const rejectBanAppeal = async (req, res) => {
+  try {
+    const { response } = req.body;
+
+    if (response !== undefined && (typeof response !== 'string' || response.length > 500)) {
+      return res.status(400).json({ message: 'Response must be at most 500 characters' });
+    }
+
+    const { group, ban, denial } = await loadBanForReview(req, 'Only admins and moderators can review appeals');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    if (ban.banAppeal?.status !== 'pending') {
+      return res.status(400).json({ message: 'There is no pending appeal for this ban' });
+    }
+
+    ban.banAppeal.status = 'rejected';
+    ban.banAppeal.reviewedBy = req.user.userId;
+    ban.banAppeal.reviewedAt = new Date();
+    ban.banAppeal.response = response?.trim();
+    await ban.save();
+
+    await GroupAuditLog.create({
+      groupId: group._id,
+      actorId: req.user.userId,
+      action: 'ban_appeal_rejected',
+      targetUserId: ban.userId,
+      reason: ban.banAppeal.response
+    });
+
+    await notify([ban.userId], {
+      type: 'ban_appeal_rejected',
+      event: 'membershipChange',
+      groupId: group._id,
+      actorId: req.user.userId,
+      title: `Your appeal to ${group.name} was declined`,
+      message: ban.banAppeal.response || 'The group staff decided to keep the ban.',
+      link: `/groups/${group._id}`
+    });
+
+    res.json({ message: 'Appeal rejected', appeal: ban.banAppeal });
+  } catch (error) {
+    console.error('Reject ban appeal error:', error);
+    res.status(500).json({ message: 'Failed to reject appeal', error: error.message });
+  }
+};
+
+// Load the group and check the caller may moderate the target member.
+// Returns { group, member, denial }.
+const loadMemberForModeration = async (req, message) => {
+  const { id, memberId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(memberId)) {
+    return { denial: { status: 400, body: { message: 'Invalid ID' } } };
+  }
+
+  const group = await Group.findById(id);
+  if (!group || !group.isActive) {
+    return { denial: { status: 404, body: { message: 'Group not found' } } };
+  }
+
+  const { membership: staffMembership, denial } = await checkStaffAccess(group, req.user.userId, message);
+  if (denial) {
+    return { denial };
+  }
+
+  const member = await GroupMember.findOne({ userId: memberId, groupId: id, status: 'active' });
+  if (!member) {
+    return { denial: { status: 404, body: { message: 'Member not found' } } };
+  }
+
+  if (!outranks(staffMembership.role, member.role)) {
+    return { denial: { status: 403, body: { message: 'You can only moderate people below your own role' } } };
+  }
+
+  return { group, member, denial: null };
+};
+
+// Mute a member for `durationMinutes`; muting again replaces the previous mute
+const muteMember = async (req, res) => {
+  try {
+    const { durationMinutes, reason } = req.body;
+
+    if (typeof durationMinutes !== 'number' || durationMinutes <= 0 || durationMinutes > MAX_MUTE_MINUTES) {
+      return res.status(400).json({ message: `durationMinutes must be between 0 and ${MAX_MUTE_MINUTES}` });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ message: 'Reason must be at most 500 characters' });
+    }
+
+    const { group, member, denial } = await loadMemberForModeration(req, 'Only admins and moderators can mute members');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    member.mutedAt = new Date();
+    member.mutedUntil = new Date(Date.now() + durationMinutes * 60 * 1000);
+    member.mutedBy = req.user.userId;
+    member.muteReason = reason?.trim();
+    await member.save();
+
+    await GroupAuditLog.create({
+      groupId: group._id,
+      actorId: req.user.userId,
+      action: 'member_muted',
+      targetUserId: member.userId,
+      reason: member.muteReason,
+      details: { mutedUntil: member.mutedUntil }
+    });
+
+    await notify([member.userId], {
+      type: 'group_muted',
+      event: 'membershipChange',
+      groupId: group._id,
+      actorId: req.user.userId,
+      title: `You were muted in ${group.name}`,
+      message: [
+        `You can read the group but not post until ${member.mutedUntil.toUTCString()}.`,
+        member.muteReason ? `Reason: ${member.muteReason}` : null
+      ].filter(Boolean).join(' '),
+      link: `/groups/${group._id}`,
+      data: { mutedUntil: member.mutedUntil }
+    });
+
+    res.json({
+      message: 'Member muted',
+      userId: member.userId,
+      mutedUntil: member.mutedUntil,
+      muteReason: member.muteReason || null
+    });
+  } catch (error) {
+    console.error('Mute member error:', error);
+    res.status(500).json({ message: 'Failed to mute member', error: error.message });
+  }
+};
+
+const unmuteMember = async (req, res) => {
+  try {
+    const { group, member, denial } = await loadMemberForModeration(req, 'Only admins and moderators can unmute members');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    if (!isMuteActive(member)) {
+      return res.status(400).json({ message: 'This member is not muted' });
+    }
+
+    member.mutedUntil = undefined;
+    member.mutedAt = undefined;
+    member.mutedBy = undefined;
+    member.muteReason = undefined;
+    await member.save();
+
+    await GroupAuditLog.create({
+      groupId: group._id,
+      actorId: req.user.userId,
+      action: 'member_unmuted',
+      targetUserId: member.userId
+    });
+
+    res.json({ message: 'Member unmuted', userId: member.userId });
+  } catch (error) {
+    console.error('Unmute member error:', error);
+    res.status(500).json({ message: 'Failed to unmute member', error: error.message });
+  }
+};
+
+// Read-only mode stops every non-staff member from posting until it is turned off
+const setReadOnlyMode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { enabled, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be true or false' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can change read-only mode');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    if (Boolean(group.settings.muteMembers) !== enabled) {
+      group.settings.muteMembers = enabled;
+      await group.save();
+
+      await GroupAuditLog.create({
+        groupId: group._id,
+        actorId: req.user.userId,
+        action: 'read_only_changed',
+        reason: reason?.trim(),
+        details: { enabled }
+      });
+    }
+
+    res.json({
+      message: enabled ? 'The group is now read-only' : 'Members can post again',
+      readOnly: enabled
+    });
+  } catch (error) {
+    console.error('Set read-only mode error:', error);
+    res.status(500).json({ message: 'Failed to change read-only mode', error: error.message });
+  }
+};
+
+// Generate new invite code
+const generateInviteCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expiryHours } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user has permission
+    const membership = await GroupMember.findOne({ userId, groupId: id, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You do not have permission to generate invite codes' });
+    }
+
+    const permissionDenial = checkMemberPermission(group, membership, 'canInviteMembers');
+    if (permissionDenial) {
+      return res.status(permissionDenial.status).json(permissionDenial.body);
+    }
+
+    const twoFactorDenial = await checkStaffTwoFactor(group, membership);
+    if (twoFactorDenial) {
+      return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+    }
+
+    // Generate new invite code
+    const crypto = require('crypto');
+    group.inviteCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+
+    if (expiryHours) {
+      group.inviteCodeExpiry = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+    } else {
+      group.inviteCodeExpiry = undefined;
+    }
+
+    await group.save();
+
+    res.json({
+      message: 'New invite code generated',
+      inviteCode: group.inviteCode,
+      expiresAt: group.inviteCodeExpiry
+    });
+  } catch (error) {
+    console.error('Generate invite code error:', error);
+    res.status(500).json({ message: 'Failed to generate invite code', error: error.message });
+  }
+};
+
+
+// Load the group and the caller's active membership for invite link management.
+// Returns { group, membership, denial }.
+const loadInviteLinkAccess = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { denial: { status: 400, body: { message: 'Invalid group ID' } } };
+  }
+
+  const group = await Group.findById(id);
+  if (!group || !group.isActive) {
+    return { denial: { status: 404, body: { message: 'Group not found' } } };
+  }
+
+  const membership = await GroupMember.findOne({ userId: req.user.userId, groupId: id, status: 'active' });
+  if (!membership) {
+    return { denial: { status: 403, body: { message: 'You must be a member of this group' } } };
+  }
+
+  const twoFactorDenial = await checkStaffTwoFactor(group, membership);
+  if (twoFactorDenial) {
+    return { denial: twoFactorDenial };
+  }
+
+  return { group, membership, denial: null };
+};
+
+// Staff manage every link of the group, other members only the ones they created
+const canManageInviteLink = (membership, createdBy) =>
+  STAFF_ROLES.includes(membership.role) || createdBy.toString() === membership.userId.toString();
+
+const createInviteLink = async (req, res) => {
+  try {
+    const { label, expiresInHours, maxUses, defaultRole = 'member', autoApprove = false } = req.body;
+
+    if (label !== undefined && (typeof label !== 'string' || label.trim().length > 100)) {
+      return res.status(400).json({ message: 'Label must be at most 100 characters' });
+    }
+    if (expiresInHours !== undefined && expiresInHours !== null &&
+      (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > MAX_INVITE_LINK_HOURS)) {
+      return res.status(400).json({ message: `expiresInHours must be between 0 and ${MAX_INVITE_LINK_HOURS}` });
+    }
+    if (maxUses !== undefined && maxUses !== null &&
+      (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_LINK_USES)) {
+      return res.status(400).json({ message: `maxUses must be a whole number between 1 and ${MAX_INVITE_LINK_USES}` });
+    }
+    if (!['member', 'moderator'].includes(defaultRole)) {
+      return res.status(400).json({ message: 'defaultRole must be member or moderator' });
+    }
+    if (typeof autoApprove !== 'boolean') {
+      return res.status(400).json({ message: 'autoApprove must be true or false' });
+    }
+
+    const { group, membership, denial } = await loadInviteLinkAccess(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const permissionDenial = checkMemberPermission(group, membership, 'canInviteMembers');
+    if (permissionDenial) {
+      return res.status(permissionDenial.status).json(permissionDenial.body);
+    }
+    if (defaultRole === 'moderator' && membership.role !== 'admin') {
+      return res.status(403).json({ message: 'Only the group admin can create links that grant the moderator role' });
+    }
+    if (autoApprove && !STAFF_ROLES.includes(membership.role)) {
+      return res.status(403).json({ message: 'Only admins and moderators can create links that skip approval' });
+    }
+
+    const openLinks = await InviteLink.countDocuments({ groupId: group._id, revokedAt: null });
+    if (openLinks >= MAX_OPEN_INVITE_LINKS) {
+      return res.status(400).json({ message: `A group can have at most ${MAX_OPEN_INVITE_LINKS} open invite links` });
+    }
+
+    const link = await InviteLink.create({
+      groupId: group._id,
+      code: InviteLink.generateCode(),
+      label: label?.trim(),
+      createdBy: req.user.userId,
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : undefined,
+      maxUses: maxUses || undefined,
+      defaultRole,
+      autoApprove
+    });
+
+    await GroupAuditLog.create({
+      groupId: group._id,
+      actorId: req.user.userId,
+      action: 'invite_link_created',
+      details: { inviteLinkId: link._id, label: link.label, defaultRole, autoApprove }
+    });
+
+    res.status(201).json({ message: 'Invite link created', inviteLink: link });
+  } catch (error) {
+    console.error('Create invite link error:', error);
+    res.status(500).json({ message: 'Failed to create invite link', error: error.message });
+  }
+};
+
+const getInviteLinks = async (req, res) => {
+  try {
+    const { group, membership, denial } = await loadInviteLinkAccess(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const filter = { groupId: group._id };
+    if (!STAFF_ROLES.includes(membership.role)) {
+      filter.createdBy = membership.userId;
+    }
+
+    const links = await InviteLink.find(filter)
+      .populate('createdBy', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    // Members who are in the group through each link right now
+    const activeCounts = await GroupMember.aggregate([
+      { $match: { inviteLinkId: { $in: links.map(link => link._id) }, status: 'active' } },
+      { $group: { _id: '$inviteLinkId', count: { $sum: 1 } } }
+    ]);
+    const activeById = new Map(activeCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      inviteLinks: links.map(link => ({
+        ...link.toJSON(),
+        activeMembers: activeById.get(link._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get invite links error:', error);
+    res.status(500).json({ message: 'Failed to fetch invite links', error: error.message });
+  }
+};
+
+// A link with the people who joined, or asked to join, through it
+const getInviteLinkDetails = async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(linkId)) {
+      return res.status(400).json({ message: 'Invalid invite link ID' });
+    }
+
+    const { group, membership, denial } = await loadInviteLinkAccess(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const link = await InviteLink.findOne({ _id: linkId, groupId: group._id });
+    if (!link || !canManageInviteLink(membership, link.createdBy)) {
+      return res.status(404).json({ message: 'Invite link not found' });
+    }
+    await link.populate('createdBy', 'name avatar');
+
+    const members = await GroupMember.find({ inviteLinkId: link._id })
+      .select('userId role status joinedAt joinRequest.requestedAt')
+      .populate('userId', 'name avatar')
+      .sort({ joinedAt: -1 });
+
+    const byStatus = members.reduce((counts, member) => {
+      counts[member.status] = (counts[member.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      inviteLink: link,
+      stats: {
+        uses: link.uses,
+        remainingUses: link.maxUses ? Math.max(link.maxUses - link.uses, 0) : null,
+        active: byStatus.active || 0,
+        pending: byStatus.pending || 0,
+        gone: (byStatus.left || 0) + (byStatus.banned || 0) + (byStatus.rejected || 0),
+        lastUsedAt: link.lastUsedAt
+      },
+      members
+    });
+  } catch (error) {
+    console.error('Get invite link error:', error);
+    res.status(500).json({ message: 'Failed to fetch invite link', error: error.message });
+  }
+};
+
+const revokeInviteLink = async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(linkId)) {
+      return res.status(400).json({ message: 'Invalid invite link ID' });
+    }
+
+    const { group, membership, denial } = await loadInviteLinkAccess(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const link = await InviteLink.findOne({ _id: linkId, groupId: group._id });
+    if (!link || !canManageInviteLink(membership, link.createdBy)) {
+      return res.status(404).json({ message: 'Invite link not found' });
+    }
+
+    if (link.revokedAt) {
+      return res.status(400).json({ message: 'This invite link is already revoked' });
+    }
+
+    link.revokedAt = new Date();
+    link.revokedBy = req.user.userId;
+    await link.save();
+
+    await GroupAuditLog.create({
+      groupId: group._id,
+      actorId: req.user.userId,
+      action: 'invite_link_revoked',
+      details: { inviteLinkId: link._id, label: link.label, uses: link.uses }
+    });
+
+    res.json({ message: 'Invite link revoked', inviteLink: link });
+  } catch (error) {
+    console.error('Revoke invite link error:', error);
+    res.status(500).json({ message: 'Failed to revoke invite link', error: error.message });
+  }
+};
+
+// Load the group for invitation management; admins and moderators only.
+// Returns { group, denial }.
+const loadGroupForInvitations = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { denial: { status: 400, body: { message: 'Invalid group ID' } } };
+  }
+
+  const group = await Group.findById(id);
+  if (!group || !group.isActive) {
+    return { denial: { status: 404, body: { message: 'Group not found' } } };
+  }
+
+  const { denial } = await checkStaffAccess(group, req.user.userId, 'Only admins and moderators can manage email invitations');
+  return { group, denial };
+};
+
+// Invite addresses given as `emails` in the body, or as the "email" column of an uploaded CSV
+const sendGroupInvitations = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (message !== undefined && (typeof message !== 'string' || message.length > 500)) {
+      return res.status(400).json({ message: 'Message must be at most 500 characters' });
+    }
+
+    const emails = req.file ? groupInvitations.readInvitationCsv(req.file) : req.body.emails;
+    if (!Array.isArray(emails) || emails.length === 0) {
+      return res.status(400).json({ message: 'Provide at least one email address' });
+    }
+
+    const { group, denial } = await loadGroupForInvitations(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const inviter = await User.findById(req.user.userId).select('name');
+    const { invited, skipped } = await groupInvitations.createInvitations({
+      group,
+      inviter,
+      emails,
+      message: message?.trim()
+    });
+
+    res.status(invited.length > 0 ? 201 : 200).json({
+      message: `${invited.length} invitation${invited.length === 1 ? '' : 's'} sent`,
+      invited,
+      skipped
+    });
+  } catch (error) {
+    if (error.code === 'INVITATION_ERROR') {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Send group invitations error:', error);
+    res.status(500).json({ message: 'Failed to send invitations', error: error.message });
+  }
+};
+
+const getGroupInvitations = async (req, res) => {
+  try {
+    const { state } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { group, denial } = await loadGroupForInvitations(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const now = new Date();
+    const filter = { groupId: group._id };
+    if (state === 'pending') {
+      Object.assign(filter, { status: 'pending', expiresAt: { $gt: now } });
+    } else if (state === 'expired') {
+      Object.assign(filter, { status: 'pending', expiresAt: { $lte: now } });
+    } else if (['accepted', 'cancelled'].includes(state)) {
+      filter.status = state;
+    } else if (state) {
+      return res.status(400).json({ message: 'state must be pending, accepted, expired or cancelled' });
+    }
+
+    const invitations = await GroupInvitation.find(filter)
+      .populate('invitedBy', 'name avatar')
+      .populate('acceptedBy', 'name avatar')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await GroupInvitation.countDocuments(filter);
+
+    res.json({
+      invitations,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get group invitations error:', error);
+    res.status(500).json({ message: 'Failed to fetch invitations', error: error.message });
+  }
+};
+
+// Load one of the group's invitations that is still open (pending or expired)
+const loadOpenInvitation = async (req) => {
+  const { invitationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    return { denial: { status: 400, body: { message: 'Invalid invitation ID' } } };
+  }
+
+  const { group, denial } = await loadGroupForInvitations(req);
+  if (denial) {
+    return { denial };
+  }
+
+  const invitation = await GroupInvitation.findOne({ _id: invitationId, groupId: group._id });
+  if (!invitation) {
+    return { denial: { status: 404, body: { message: 'Invitation not found' } } };
+  }
+  if (invitation.status !== 'pending') {
+    return { denial: { status: 400, body: { message: `This invitation was already ${invitation.status}` } } };
+  }
+
+  return { group, invitation };
+};
+
+// Send the email again with a new link and a fresh expiry
+const resendGroupInvitation = async (req, res) => {
+  try {
+    const { group, invitation, denial } = await loadOpenInvitation(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const inviter = await User.findById(req.user.userId).select('name');
+    const emailSent = await groupInvitations.sendInvitation(invitation, { group, inviter });
+
+    res.json({
+      message: emailSent ? 'Invitation sent again' : 'Invitation renewed, but the email could not be sent',
+      invitation
+    });
+  } catch (error) {
+    console.error('Resend group invitation error:', error);
+    res.status(500).json({ message: 'Failed to resend invitation', error: error.message });
+  }
+};
+
+const cancelGroupInvitation = async (req, res) => {
+  try {
+    const { invitation, denial } = await loadOpenInvitation(req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    invitation.status = 'cancelled';
+    invitation.cancelledAt = new Date();
+    invitation.cancelledBy = req.user.userId;
+    await invitation.save();
+
+    res.json({ message: 'Invitation cancelled', invitation });
+  } catch (error) {
+    console.error('Cancel group invitation error:', error);
+    res.status(500).json({ message: 'Failed to cancel invitation', error: error.message });
+  }
+};
+
+// What the invitation page shows before the invitee signs in or signs up
+const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await groupInvitations.findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    await invitation.populate('groupId', 'name description avatar category statistics.totalMembers isActive');
+    await invitation.populate('invitedBy', 'name avatar');
+    const group = invitation.groupId;
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const hasAccount = await User.exists({ email: invitation.email });
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        state: invitation.state,
+        message: invitation.message,
+        expiresAt: invitation.expiresAt,
+        invitedBy: invitation.invitedBy,
+        group: {
+          _id: group._id,
+          name: group.name,
+          description: group.description,
+          avatar: group.avatar,
+          category: group.category,
+          totalMembers: group.statistics?.totalMembers
+        }
+      },
+      hasAccount: Boolean(hasAccount)
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ message: 'Failed to fetch invitation', error: error.message });
+  }
+};
+
+const acceptGroupInvitation = async (req, res) => {
+  try {
+    const invitation = await groupInvitations.findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const { group, membership } = await groupInvitations.acceptInvitation(invitation, req.user.userId);
+
+    res.json({
+      message: 'Invitation accepted',
+      group: { _id: group._id, name: group.name },
+      membership: {
+        role: membership.role,
+        joinedAt: membership.joinedAt
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVITATION_ERROR') {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Accept group invitation error:', error);
+    res.status(500).json({ message: 'Failed to accept invitation', error: error.message });
+  }
+};
+
+// Active members with their precomputed stats, paginated and sortable by any stat
+const getGroupMembers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sort = 'rank', page = 1, limit = 50 } = req.query;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    if (!memberStats.MEMBER_SORTS[sort]) {
+      return res.status(400).json({ message: `sort must be one of ${Object.keys(memberStats.MEMBER_SORTS).join(', ')}` });
+    }
+
+    const order = req.query.order || memberStats.MEMBER_SORTS[sort].order;
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ message: 'order must be asc or desc' });
+    }
+
+    const group = await Group.findById(id);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { denial } = await checkGroupReadAccess(group, userId, 'Access denied');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const { members, total } = await memberStats.listGroupMembers({
+      groupId: id,
+      sort,
+      order,
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum
+    });
+
+    res.json({
+      members: members.map(({ stats, rank, mutedUntil, ...member }) => ({
+        ...member,
+        mutedUntil: isMuteActive({ mutedUntil }) ? mutedUntil : null,
+        stats: {
+          ...stats,
+          questionsAttempted: stats.totalResponses,
+          totalQuestions: group.statistics.totalQuestions,
+          rank
+        }
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get group members error:', error);
+    res.status(500).json({ message: 'Failed to fetch members', error: error.message });
+  }
+};
+
+// Ranked standings for a window, with the caller's own position
+const getGroupLeaderboard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { window = 'weekly', page = 1, limit = 50 } = req.query;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    if (!groupLeaderboard.LEADERBOARD_WINDOWS.includes(window)) {
+      return res.status(400).json({ message: 'window must be weekly, monthly or all-time' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { denial } = await checkGroupReadAccess(group, userId);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const { period, previousPeriod, entries } = await groupLeaderboard.buildLeaderboard(group, window);
+    const total = entries.length;
+
+    res.json({
+      window,
+      period,
+      previousPeriod,
+      scoring: group.leaderboard,
+      entries: entries.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      me: entries.find(entry => entry.user._id.toString() === userId.toString()) || null,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get group leaderboard error:', error);
+    res.status(500).json({ message: 'Failed to fetch leaderboard', error: error.message });
+  }
+};
+
+// Change the leaderboard scoring formula; group admin only. Fields left out keep their value.
+const updateLeaderboardSettings = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    const group = await Group.findById(id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const membership = await GroupMember.findOne({ userId, groupId: id, status: 'active' });
+    if (!membership || membership.role !== 'admin') {
+      return res.status(403).json({ message: 'Only the group admin can change leaderboard scoring' });
+    }
+
+    const twoFactorDenial = await checkStaffTwoFactor(group, membership);
+    if (twoFactorDenial) {
+      return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+    }
+
+    const changes = {};
+    for (const [field, { min, max }] of Object.entries(groupLeaderboard.SCORING_FIELDS)) {
+      const value = field.split('.').reduce((source, key) => source?.[key], req.body);
+      if (value === undefined) continue;
+
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        return res.status(400).json({ message: `${field} must be a number between ${min} and ${max}` });
+      }
+
+      const current = group.get(`leaderboard.${field}`);
+      if (current !== value) {
+        changes[field] = { from: current, to: value };
+        group.set(`leaderboard.${field}`, value);
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await group.save();
+
+      await GroupAuditLog.create({
+        groupId: group._id,
+        actorId: userId,
+        action: 'leaderboard_settings_changed',
+        reason: reason?.trim(),
+        details: changes
+      });
+    }
+
+    res.json({
+      message: 'Leaderboard scoring updated',
+      scoring: group.leaderboard,
+      changed: Object.keys(changes)
+    });
+  } catch (error) {
+    console.error('Update leaderboard settings error:', error);
+    res.status(500).json({ message: 'Failed to update leaderboard scoring', error: error.message });
+  }
+};
+
+// Add this to your groupController.js
+const getGroupQuestions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    // Check if group exists and user has access
+    const group = await Group.findById(id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { denial } = await checkGroupReadAccess(group, userId);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
     // Get questions from Question model
@@ -654,12 +2344,45 @@ const getGroupQuestions = async (req, res) => {
 module.exports = {
   createGroup,
   joinGroup,
+  discoverGroups,
+  joinPublicGroup,
   getUserGroups,
   getGroupDetails,
   updateGroup,
+  uploadGroupAvatar,
+  removeGroupAvatar,
   leaveGroup,
+  transferGroupOwnership,
+  getGroupAuditLog,
+  promoteModerator,
+  demoteModerator,
+  updateMemberPermissions,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+  cancelJoinRequest,
   removeMember,
+  getGroupBans,
+  banUser,
+  unbanUser,
+  submitBanAppeal,
+  rejectBanAppeal,
+  muteMember,
+  unmuteMember,
+  setReadOnlyMode,
   generateInviteCode,
+  createInviteLink,
+  getInviteLinks,
+  getInviteLinkDetails,
+  revokeInviteLink,
+  sendGroupInvitations,
+  getGroupInvitations,
+  resendGroupInvitation,
+  cancelGroupInvitation,
+  getInvitationByToken,
+  acceptGroupInvitation,
+  getGroupLeaderboard,
+  updateLeaderboardSettings,
   getGroupMembers, // ADD THIS
   getGroupQuestions // ADD THIS
 };
\ No newline at end of file
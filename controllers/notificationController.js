@@ -0,0 +1,121 @@
+const Notification = require('../models/Notification');
+const mongoose = require('mongoose');
+
+// List the current user's notifications, newest first
+const getNotifications = async (req, res) => {
+  try {
+    const { unreadOnly } = req.query;
+    const userId = req.user.userId;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { userId };
+    if (unreadOnly === 'true') filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .populate('actorId', 'name avatar')
+      .populate('groupId', 'name avatar')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ userId, readAt: null });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Failed to fetch notifications', error: error.message });
+  }
+};
+
+// Number of unread notifications, for badges
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ userId: req.user.userId, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Failed to fetch unread count', error: error.message });
+  }
+};
+
+// Mark one notification as read
+const markAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, userId: req.user.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read', notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Failed to update notification', error: error.message });
+  }
+};
+
+// Mark every unread notification as read
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Failed to update notifications', error: error.message });
+  }
+};
+
+// Delete a notification
+const deleteNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const result = await Notification.deleteOne({ _id: id, userId: req.user.userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ message: 'Failed to delete notification', error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+};
@@ -3,6 +3,20 @@ const User = require('../models/User');
 const Group = require('../models/Group');
 const GroupMember = require('../models/GroupMember');
 const mongoose = require('mongoose');
+const uploads = require('../services/uploads');
+const groupStatistics = require('../services/groupStatistics');
+const { refreshMemberStats } = require('../services/memberStats');
+const { STAFF_ROLES, checkMemberPermission, checkGroupReadAccess, checkMute, checkStaffTwoFactor } = require('../services/groupAccess');
+
+const MAX_QUESTION_ATTACHMENTS = 10;
+const MAX_SOLUTION_ATTACHMENTS = 5;
+
+// Staff acting on someone else's content use their staff role, so the group's two-factor
+// requirement applies. Returns a denial ({ status, body }) or null.
+const checkModeratorTwoFactor = async (groupId, membership) => {
+  const group = await Group.findById(groupId).select('settings');
+  return checkStaffTwoFactor(group, membership);
+};
 
 // Create a new question (alias for addQuestion)
 const createQuestion = async (req, res) => {
@@ -33,6 +47,11 @@ const createQuestion = async (req, res) => {
       return res.status(403).json({ message: 'You must be a member of this group to add questions' });
     }
 
+    const permissionDenial = checkMemberPermission(group, membership, 'canPostQuestions') || checkMute(group, membership);
+    if (permissionDenial) {
+      return res.status(permissionDenial.status).json(permissionDenial.body);
+    }
+
     // Check for duplicate questions in the same group
     const existingQuestion = await Question.findOne({
       sourceUrl,
@@ -58,6 +77,8 @@ const createQuestion = async (req, res) => {
     });
 
     await question.save();
+    await User.updateOne({ _id: userId }, { $inc: { 'statistics.questionsPosted': 1 } });
+    await groupStatistics.recordQuestionAdded(groupId);
 
     // Populate the question with user info
     await question.populate('postedBy', 'name email avatar');
@@ -88,14 +109,9 @@ const getQuestionsByGroup = async (req, res) => {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    const membership = await GroupMember.findOne({
-      userId,
-      groupId,
-      status: 'active'
-    });
-
-    if (!membership && group.isPrivate) {
-      return res.status(403).json({ message: 'Access denied to private group' });
+    const { denial } = await checkGroupReadAccess(group, userId);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
     // Build query
@@ -152,14 +168,9 @@ const getQuestionById = async (req, res) => {
 
     // Check group access
     const group = await Group.findById(question.groupId);
-    const membership = await GroupMember.findOne({
-      userId,
-      groupId: question.groupId,
-      status: 'active'
-    });
-
-    if (!membership && group.isPrivate) {
-      return res.status(403).json({ message: 'Access denied' });
+    const { denial } = await checkGroupReadAccess(group, userId, 'Access denied');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
     // Increment view count (but not for the poster)
@@ -201,10 +212,23 @@ const updateQuestion = async (req, res) => {
       status: 'active'
     });
 
-    if (question.postedBy.toString() !== userId && membership?.role !== 'admin') {
+    if (!membership || (question.postedBy.toString() !== userId && membership.role !== 'admin')) {
       return res.status(403).json({ message: 'Permission denied' });
     }
 
+    const group = await Group.findById(question.groupId).select('settings');
+    if (question.postedBy.toString() !== userId) {
+      const twoFactorDenial = await checkStaffTwoFactor(group, membership);
+      if (twoFactorDenial) {
+        return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+      }
+    }
+
+    const muteDenial = checkMute(group, membership);
+    if (muteDenial) {
+      return res.status(muteDenial.status).json(muteDenial.body);
+    }
+
     // Update allowed fields
     const allowedUpdates = ['title', 'description', 'difficulty', 'category', 'tags'];
     const actualUpdates = {};
@@ -260,9 +284,22 @@ const deleteQuestion = async (req, res) => {
       return res.status(403).json({ message: 'Permission denied' });
     }
 
+    if (question.postedBy.toString() !== userId) {
+      const twoFactorDenial = await checkModeratorTwoFactor(question.groupId, membership);
+      if (twoFactorDenial) {
+        return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+      }
+    }
+
     // Soft delete
     question.status = 'deleted';
     await question.save();
+    await User.updateOne(
+      { _id: question.postedBy, 'statistics.questionsPosted': { $gt: 0 } },
+      { $inc: { 'statistics.questionsPosted': -1 } }
+    );
+    await groupStatistics.recordQuestionsRemoved(question.groupId);
+    await refreshMemberStats(question.groupId, question.memberResponses.map(response => response.userId));
 
     res.json({ message: 'Question deleted successfully' });
   } catch (error) {
@@ -286,10 +323,15 @@ const rateDifficulty = async (req, res) => {
     }
 
     const question = await Question.findById(id);
-    if (!question) {
+    if (!question || question.status !== 'active') {
       return res.status(404).json({ message: 'Question not found' });
     }
 
+    const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You must be a member of this group to rate questions' });
+    }
+
     // Check if user already rated
     const existingRating = question.difficultyRatings.find(
       r => r.userId.toString() === userId
@@ -319,10 +361,15 @@ const toggleLike = async (req, res) => {
     const userId = req.user.userId;
 
     const question = await Question.findById(id);
-    if (!question) {
+    if (!question || question.status !== 'active') {
       return res.status(404).json({ message: 'Question not found' });
     }
 
+    const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You must be a member of this group to like questions' });
+    }
+
     const likeIndex = question.likes.findIndex(
       like => like.userId.toString() === userId
     );
@@ -355,11 +402,26 @@ const addSolution = async (req, res) => {
     const { code, language, explanation, timeComplexity, spaceComplexity } = req.body;
     const userId = req.user.userId;
 
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid question ID' });
+    }
+
     const question = await Question.findById(id);
-    if (!question) {
+    if (!question || question.status !== 'active') {
       return res.status(404).json({ message: 'Question not found' });
     }
 
+    const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You must be a member of this group to add solutions' });
+    }
+
+    const group = await Group.findById(question.groupId).select('settings');
+    const permissionDenial = checkMemberPermission(group, membership, 'canComment') || checkMute(group, membership);
+    if (permissionDenial) {
+      return res.status(permissionDenial.status).json(permissionDenial.body);
+    }
+
     question.solutions.push({
       userId,
       code,
@@ -370,6 +432,7 @@ const addSolution = async (req, res) => {
     });
 
     await question.save();
+    await User.updateOne({ _id: userId }, { $inc: { 'statistics.solutionsSubmitted': 1 } });
     await question.populate('solutions.userId', 'name email avatar');
 
     res.status(201).json({
@@ -393,12 +456,18 @@ const getSolutions = async (req, res) => {
 
     const question = await Question.findById(id)
       .populate('solutions.userId', 'name email avatar')
-      .select('solutions');
+      .select('groupId status solutions');
 
-    if (!question) {
+    if (!question || question.status !== 'active') {
       return res.status(404).json({ message: 'Question not found' });
     }
 
+    const group = await Group.findById(question.groupId);
+    const { denial } = await checkGroupReadAccess(group, userId, 'Access denied');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
     res.json({
       solutions: question.solutions
     });
@@ -430,8 +499,23 @@ const searchQuestions = async (req, res) => {
       ]
     };
 
+    // Search one group the user can read, or else every group they are an active member of
     if (groupId) {
+      if (!mongoose.Types.ObjectId.isValid(groupId)) {
+        return res.status(400).json({ message: 'Invalid group ID' });
+      }
+      const group = await Group.findById(groupId);
+      if (!group) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      const { denial } = await checkGroupReadAccess(group, userId);
+      if (denial) {
+        return res.status(denial.status).json(denial.body);
+      }
       query.groupId = groupId;
+    } else {
+      const memberships = await GroupMember.find({ userId, status: 'active' }).select('groupId');
+      query.groupId = { $in: memberships.map(membership => membership.groupId) };
     }
 
     const questions = await Question.find(query)
@@ -485,18 +569,30 @@ const submitMemberResponse = async (req, res) => {
       });
     }
 
+    const group = await Group.findById(question.groupId).select('settings');
+    const muteDenial = checkMute(group, membership);
+    if (muteDenial) {
+      return res.status(muteDenial.status).json(muteDenial.body);
+    }
+
     // Check if user already submitted a response
     const existingResponseIndex = question.memberResponses.findIndex(
       response => response.userId.toString() === userId
     );
 
+    const submittedAt = new Date();
+    const previousSolvedAt = existingResponseIndex !== -1
+      ? question.memberResponses[existingResponseIndex].solvedAt
+      : undefined;
+
     const responseData = {
       userId,
       status,
       difficultyRating,
       timeToSolve: timeToSolve || null,
       notes: notes?.trim() || '',
-      submittedAt: new Date()
+      submittedAt,
+      solvedAt: previousSolvedAt || (status === 'solved' ? submittedAt : undefined)
     };
 
     if (existingResponseIndex !== -1) {
@@ -508,6 +604,7 @@ const submitMemberResponse = async (req, res) => {
     }
 
     await question.save();
+    await refreshMemberStats(question.groupId, [userId]);
 
     // Populate the response with user info
     await question.populate('memberResponses.userId', 'name email avatar');
@@ -549,6 +646,12 @@ const getUserQuestionResponse = async (req, res) => {
       return res.status(404).json({ message: 'Question not found' });
     }
 
+    const group = await Group.findById(question.groupId);
+    const { denial } = await checkGroupReadAccess(group, userId, 'Access denied');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
     const userResponse = question.memberResponses.find(
       response => response.userId._id.toString() === userId
     );
@@ -658,14 +761,9 @@ const getQuestionsByGroupWithStats = async (req, res) => {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    const membership = await GroupMember.findOne({
-      userId,
-      groupId,
-      status: 'active'
-    });
-
-    if (!membership && group.isPrivate) {
-      return res.status(403).json({ message: 'Access denied to private group' });
+    const { denial } = await checkGroupReadAccess(group, userId);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
     // Build query
@@ -738,6 +836,220 @@ function calculateMemberDifficultyRating(memberResponses) {
   return 'Hard';
 }
 
+// Attach an image to a question; allowed for the poster and group staff
+const addQuestionAttachment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid question ID' });
+    }
+
+    const question = await Question.findById(id);
+    if (!question || question.status !== 'active') {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership || (question.postedBy.toString() !== userId && !STAFF_ROLES.includes(membership.role))) {
+      return res.status(403).json({ message: 'Only the poster and group staff can add attachments' });
+    }
+
+    const group = await Group.findById(question.groupId).select('settings');
+    if (question.postedBy.toString() !== userId) {
+      const twoFactorDenial = await checkStaffTwoFactor(group, membership);
+      if (twoFactorDenial) {
+        return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+      }
+    }
+
+    const muteDenial = checkMute(group, membership);
+    if (muteDenial) {
+      return res.status(muteDenial.status).json(muteDenial.body);
+    }
+
+    if (question.attachments.length >= MAX_QUESTION_ATTACHMENTS) {
+      return res.status(400).json({ message: `A question can have at most ${MAX_QUESTION_ATTACHMENTS} attachments` });
+    }
+
+    const stored = await uploads.saveAttachment(`questions/${question._id}`, req.file);
+    question.attachments.push({ uploadedBy: userId, ...stored });
+
+    try {
+      await question.save();
+    } catch (saveError) {
+      await uploads.removeFiles(stored.keys);
+      throw saveError;
+    }
+
+    res.status(201).json({
+      message: 'Attachment added successfully',
+      attachment: question.attachments[question.attachments.length - 1]
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add question attachment error:', error);
+    res.status(500).json({
+      message: 'Failed to add attachment',
+      error: error.message
+    });
+  }
+};
+
+// Remove a question attachment; allowed for the uploader, the poster and group staff
+const removeQuestionAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(attachmentId)) {
+      return res.status(400).json({ message: 'Invalid question or attachment ID' });
+    }
+
+    const question = await Question.findById(id);
+    const attachment = question?.attachments.id(attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    const canRemove = attachment.uploadedBy.toString() === userId ||
+      question.postedBy.toString() === userId ||
+      STAFF_ROLES.includes(membership?.role);
+    if (!canRemove) {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    if (attachment.uploadedBy.toString() !== userId && question.postedBy.toString() !== userId) {
+      const twoFactorDenial = await checkModeratorTwoFactor(question.groupId, membership);
+      if (twoFactorDenial) {
+        return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+      }
+    }
+
+    const keys = attachment.keys;
+    attachment.deleteOne();
+    await question.save();
+    await uploads.removeFiles(keys);
+
+    res.json({ message: 'Attachment removed successfully' });
+  } catch (error) {
+    console.error('Remove question attachment error:', error);
+    res.status(500).json({
+      message: 'Failed to remove attachment',
+      error: error.message
+    });
+  }
+};
+
+// Attach an image to your own solution
+const addSolutionAttachment = async (req, res) => {
+  try {
+    const { id, solutionId } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(solutionId)) {
+      return res.status(400).json({ message: 'Invalid question or solution ID' });
+    }
+
+    const question = await Question.findById(id);
+    const solution = question?.status === 'active' ? question.solutions.id(solutionId) : null;
+    if (!solution) {
+      return res.status(404).json({ message: 'Solution not found' });
+    }
+
+    if (solution.userId?.toString() !== userId) {
+      return res.status(403).json({ message: 'You can only add attachments to your own solutions' });
+    }
+
+    const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You must be a member of this group to add attachments' });
+    }
+
+    const group = await Group.findById(question.groupId).select('settings');
+    const muteDenial = checkMute(group, membership);
+    if (muteDenial) {
+      return res.status(muteDenial.status).json(muteDenial.body);
+    }
+
+    if (solution.attachments.length >= MAX_SOLUTION_ATTACHMENTS) {
+      return res.status(400).json({ message: `A solution can have at most ${MAX_SOLUTION_ATTACHMENTS} attachments` });
+    }
+
+    const stored = await uploads.saveAttachment(`questions/${question._id}/solutions/${solution._id}`, req.file);
+    solution.attachments.push({ uploadedBy: userId, ...stored });
+
+    try {
+      await question.save();
+    } catch (saveError) {
+      await uploads.removeFiles(stored.keys);
+      throw saveError;
+    }
+
+    res.status(201).json({
+      message: 'Attachment added successfully',
+      attachment: solution.attachments[solution.attachments.length - 1]
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add solution attachment error:', error);
+    res.status(500).json({
+      message: 'Failed to add attachment',
+      error: error.message
+    });
+  }
+};
+
+// Remove a solution attachment; allowed for the solution author and group staff
+const removeSolutionAttachment = async (req, res) => {
+  try {
+    const { id, solutionId, attachmentId } = req.params;
+    const userId = req.user.userId;
+
+    if (![id, solutionId, attachmentId].every(value => mongoose.Types.ObjectId.isValid(value))) {
+      return res.status(400).json({ message: 'Invalid question, solution or attachment ID' });
+    }
+
+    const question = await Question.findById(id);
+    const solution = question?.solutions.id(solutionId);
+    const attachment = solution?.attachments.id(attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    if (solution.userId?.toString() !== userId) {
+      const membership = await GroupMember.findOne({ userId, groupId: question.groupId, status: 'active' });
+      if (!STAFF_ROLES.includes(membership?.role)) {
+        return res.status(403).json({ message: 'Permission denied' });
+      }
+
+      const twoFactorDenial = await checkModeratorTwoFactor(question.groupId, membership);
+      if (twoFactorDenial) {
+        return res.status(twoFactorDenial.status).json(twoFactorDenial.body);
+      }
+    }
+
+    const keys = attachment.keys;
+    attachment.deleteOne();
+    await question.save();
+    await uploads.removeFiles(keys);
+
+    res.json({ message: 'Attachment removed successfully' });
+  } catch (error) {
+    console.error('Remove solution attachment error:', error);
+    res.status(500).json({
+      message: 'Failed to remove attachment',
+      error: error.message
+    });
+  }
+};
+
 // Update your module.exports to include the new functions
 module.exports = {
   createQuestion,
@@ -749,6 +1061,10 @@ module.exports = {
   toggleLike,
   addSolution,
   getSolutions,
+  addQuestionAttachment,
+  removeQuestionAttachment,
+  addSolutionAttachment,
+  removeSolutionAttachment,
   searchQuestions,
   // New functions for member responses
   submitMemberResponse,
@@ -1,12 +1,163 @@
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  generateAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateOAuthState,
+  verifyOAuthState,
+  generatePersonalAccessToken,
+  hashToken
+} = require('../utils/tokens');
+const totp = require('../utils/totp');
+const { validatePassword, getPolicy } = require('../utils/passwordPolicy');
+const mailer = require('../services/mailer');
+const oauth = require('../services/oauth');
+const accountDeletion = require('../services/accountDeletion');
+const dataExport = require('../services/dataExport');
+const { buildUserSummary, buildPublicProfile } = require('../services/userProfile');
+const { recordSecurityEvent } = require('../services/securityLog');
+const importers = require('../services/importers');
+const notificationPreferences = require('../services/notificationPreferences');
+const uploads = require('../services/uploads');
+const groupInvitations = require('../services/groupInvitations');
+const SecurityEvent = require('../models/SecurityEvent');
+const { STAFF_ROLES } = require('../services/groupAccess');
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+// How recent a sign-in must be to stand in for a password on passwordless accounts
+const RECENT_LOGIN_WINDOW_MS = 10 * 60 * 1000;
+
+// Generate an email verification token; only its hash is stored on the user
+const setEmailVerificationToken = (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  return verificationToken;
+};
+
+// Respond with every policy violation so the frontend can show them next to the strength meter
+const sendPasswordPolicyError = (res, result) => res.status(400).json({
+  message: result.reasons[0].message,
+  reasons: result.reasons,
+  strength: result.strength
+});
+
+// Count a failed sign-in and record it, plus the lockout it may have caused
+const recordFailedLogin = async (user, req, reason) => {
+  const locked = await user.incLoginAttempts();
+  await recordSecurityEvent(user, 'login_failed', req, { reason });
+  if (locked) {
+    await recordSecurityEvent(user, 'account_locked', req);
+  }
+};
+
+// Finish a successful login: reset lockout counters, start a session and respond
+const sendLoginResponse = async (user, req, res, method = 'password') => {
+  if (user.loginAttempts > 0) {
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session for this device
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+  await recordSecurityEvent(user, 'login_success', req, { method });
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      deletionScheduledFor: user.deletion?.scheduledFor || null
+    }
+  });
+};
+
+// Check a TOTP code or a recovery code against a user loaded with TWO_FACTOR_SECRET_FIELDS.
+// Marks the code as used on the document; the caller saves it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(totp.normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodes.indexOf(codeHash);
+    if (index === -1) {
+      return false;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Create a fresh set of recovery codes; returns the plain codes to show once
+const setRecoveryCodes = (user) => {
+  const recoveryCodes = totp.generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(code => hashToken(code));
+  return recoveryCodes;
+};
+
+// Confirm it is the account owner before a sensitive change. Accounts with a password give it;
+// accounts created through OAuth give their second factor, or without one must have signed in
+// within the last few minutes. `user` must be loaded with TWO_FACTOR_SECRET_FIELDS.
+// Returns a denial ({ status, body }) or null.
+const confirmIdentity = async (req, user, { password, code, recoveryCode }) => {
+  if (user.hasPassword) {
+    if (!password) {
+      return { status: 400, body: { message: 'Password is required' } };
+    }
+
+    const isMatch = await user.comparePassword(password);
+    return isMatch ? null : { status: 401, body: { message: 'Password is incorrect' } };
+  }
+
+  if (user.twoFactor?.enabled) {
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return { status: 401, body: { message: 'A valid authentication code or recovery code is required' } };
+    }
+    await user.save();
+    return null;
+  }
+
+  const session = await Session.findById(req.user.sessionId);
+  if (!session || Date.now() - session.createdAt.getTime() > RECENT_LOGIN_WINDOW_MS) {
+    return {
+      status: 401,
+      body: { message: 'Please sign in again to confirm it is you, then try again', code: 'REAUTHENTICATION_REQUIRED' }
+    };
+  }
+
+  return null;
+};
 
 // Register a new user
 const registerUser = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, invitationToken } = req.body;
 
     // Validate input
     if (!name || !email || !password) {
@@ -19,9 +170,10 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ message: 'Invalid email format' });
     }
 
-    // Check password strength
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    // Check password against the policy
+    const passwordCheck = await validatePassword(password, { name, email });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck);
     }
 
     // Check if user already exists
@@ -30,38 +182,64 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
+    // Signing up from a group invitation sent to this address proves the address already
+    const invitation = invitationToken ? await groupInvitations.findInvitationByToken(invitationToken) : null;
+    const invitedAddress = invitation?.state === 'pending' && invitation.email === email.trim().toLowerCase();
 
     // Create user (password will be hashed automatically by pre-save middleware)
     const user = new User({
       name,
       email,
       password, // Use 'password' field as defined in model
-      emailVerificationToken: verificationToken,
-      emailVerificationExpires: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
-      isEmailVerified: false
+      isEmailVerified: invitedAddress
     });
 
+    const verificationToken = invitedAddress ? null : setEmailVerificationToken(user);
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // A mail failure should not block registration; the user can ask for a new link
+    if (verificationToken) {
+      try {
+        await mailer.sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error('Send verification email error:', mailError);
+      }
+    }
+
+    // A failed invitation should not block registration either; the response says what happened
+    let invitationResult;
+    if (invitationToken && !invitation) {
+      invitationResult = { accepted: false, message: 'Invitation not found' };
+    } else if (invitation) {
+      try {
+        const { group } = await groupInvitations.acceptInvitation(invitation, user._id);
+        invitationResult = { accepted: true, group: { _id: group._id, name: group.name } };
+      } catch (invitationError) {
+        if (invitationError.code !== 'INVITATION_ERROR') {
+          console.error('Accept invitation on registration error:', invitationError);
+        }
+        invitationResult = {
+          accepted: false,
+          message: invitationError.code === 'INVITATION_ERROR' ? invitationError.message : 'Failed to accept the invitation'
+        };
+      }
+    }
+
+    // Start a session for the new user
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
         isEmailVerified: user.isEmailVerified
-      }
+      },
+      invitation: invitationResult
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -98,44 +276,65 @@ const loginUser = async (req, res) => {
     // Verify password using the model method
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      await user.incLoginAttempts();
+      await recordFailedLogin(user, req, 'invalid_password');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      user.loginAttempts = 0;
-      user.lockUntil = undefined;
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'This account has been deactivated' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Second step required; login attempts are only reset once it succeeds
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isEmailVerified: user.isEmailVerified
-      }
-    });
+    await sendLoginResponse(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// Complete a login with a TOTP or recovery code
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'MFA token and a code or recovery code are required' });
+    }
+
+    const decoded = verifyMfaToken(mfaToken);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token, please log in again' });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({ message: 'Account temporarily locked due to too many failed login attempts' });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(user, req, 'invalid_two_factor_code');
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await sendLoginResponse(user, req, res, 'two_factor');
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Get user profile
 const getUserProfile = async (req, res) => {
   try {
@@ -152,7 +351,7 @@ const getUserProfile = async (req, res) => {
 // Update user profile
 const updateUserProfile = async (req, res) => {
   try {
-    const { name, bio, avatar, skills, githubUrl, linkedinUrl, website, location } = req.body;
+    const { name, bio, avatar, skills, githubUrl, linkedinUrl, website, location, platformHandles } = req.body;
     const userId = req.user.userId;
 
     const updateData = {};
@@ -165,6 +364,23 @@ const updateUserProfile = async (req, res) => {
     if (website) updateData['profile.website'] = website;
     if (location) updateData['profile.location'] = location;
 
+    // An empty string unlinks a handle
+    if (platformHandles) {
+      for (const [platform, handle] of Object.entries(platformHandles)) {
+        if (!importers.PLATFORM_IDS.includes(platform)) {
+          return res.status(400).json({ message: `Unsupported platform: ${platform}` });
+        }
+        if (handle && !/^[A-Za-z0-9_.-]{1,50}$/.test(handle)) {
+          return res.status(400).json({ message: `Invalid ${platform} handle` });
+        }
+        if (handle) {
+          updateData[`profile.platformHandles.${platform}`] = handle;
+        } else {
+          updateData.$unset = { ...updateData.$unset, [`profile.platformHandles.${platform}`]: 1 };
+        }
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       userId,
       updateData,
@@ -177,6 +393,53 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+// Upload an avatar and store it in fixed thumbnail sizes
+const uploadAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('avatar avatarImage');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousKeys = user.avatarImage?.keys || [];
+    const { urls, keys } = await uploads.saveAvatar('users', user._id, req.file);
+
+    user.avatar = urls.medium;
+    user.avatarImage = { ...urls, keys };
+    await user.save();
+    await uploads.removeFiles(previousKeys);
+
+    res.json({ message: 'Avatar updated successfully', avatar: user.avatar, avatarImage: urls });
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Remove the uploaded avatar
+const removeAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('avatar avatarImage');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousKeys = user.avatarImage?.keys || [];
+    user.avatar = '';
+    user.avatarImage = undefined;
+    await user.save();
+    await uploads.removeFiles(previousKeys);
+
+    res.json({ message: 'Avatar removed successfully' });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Change password
 const changePassword = async (req, res) => {
   try {
@@ -187,11 +450,7 @@ const changePassword = async (req, res) => {
       return res.status(400).json({ message: 'Current password and new password are required' });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ message: 'New password must be at least 6 characters long' });
-    }
-
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -202,11 +461,22 @@ const changePassword = async (req, res) => {
       return res.status(401).json({ message: 'Current password is incorrect' });
     }
 
+    const passwordCheck = await validatePassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck);
+    }
+
     // Update password (will be hashed by pre-save middleware)
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out every other device, revoke access tokens and re-issue a token for this one
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+    await PersonalAccessToken.revokeAllForUser(user._id);
+    const token = req.user.sessionId ? generateAccessToken(user, req.user.sessionId) : undefined;
+    await recordSecurityEvent(user, 'password_changed', req);
+
+    res.json({ message: 'Password changed successfully', token });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -218,7 +488,7 @@ const verifyEmail = async (req, res) => {
     const { token } = req.params;
 
     const user = await User.findOne({ 
-      emailVerificationToken: token,
+      emailVerificationToken: hashToken(token),
       emailVerificationExpires: { $gt: Date.now() }
     });
 
@@ -230,6 +500,7 @@ const verifyEmail = async (req, res) => {
     user.emailVerificationToken = undefined;
     user.emailVerificationExpires = undefined;
     await user.save();
+    await recordSecurityEvent(user, 'email_verified', req);
 
     res.json({ message: 'Email verified successfully' });
   } catch (error) {
@@ -242,21 +513,78 @@ const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
 
+    // Same response whether or not the account exists or the email goes out
+    const response = { message: 'If an account exists for this email, a password reset link has been sent' };
+
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.json(response);
     }
 
     const resetToken = crypto.randomBytes(32).toString('hex');
-    user.passwordResetToken = resetToken;
+    user.passwordResetToken = hashToken(resetToken);
     user.passwordResetExpires = Date.now() + 3600000; // 1 hour
     await user.save();
 
-    res.json({ 
-      message: 'Password reset email sent',
-      resetToken // Remove this in production
-    });
+    try {
+      await mailer.sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      console.error('Send password reset email error:', mailError);
+    }
+    await recordSecurityEvent(user, 'password_reset_requested', req);
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get the password rules
+const getPasswordPolicy = async (req, res) => {
+  res.json({ policy: getPolicy() });
+};
+
+// Evaluate a password for the strength meter without saving anything
+const checkPasswordStrength = async (req, res) => {
+  try {
+    const { password, name, email } = req.body;
+    const result = await validatePassword(password, { name, email });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Resend the email verification link
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists or is already verified
+    const response = { message: 'If the account exists and is not verified, a new verification email has been sent' };
+
+    const user = await User.findOne({ email });
+    if (!user || user.isEmailVerified) {
+      return res.json(response);
+    }
+
+    const verificationToken = setEmailVerificationToken(user);
+    await user.save();
+
+    try {
+      await mailer.sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+
+    res.json(response);
   } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
@@ -266,25 +594,36 @@ const resetPassword = async (req, res) => {
   try {
     const { token, newPassword } = req.body;
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
     }
 
     const user = await User.findOne({
-      passwordResetToken: token,
+      passwordResetToken: hashToken(token),
       passwordResetExpires: { $gt: Date.now() }
-    });
+    }).select('+passwordHistory');
 
     if (!user) {
       return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
 
+    const passwordCheck = await validatePassword(newPassword, user);
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck);
+    }
+
     // Update password (will be hashed by pre-save middleware)
     user.password = newPassword;
+    user.hasPassword = true;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Sign out every device that used the old password and revoke access tokens
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    await PersonalAccessToken.revokeAllForUser(user._id);
+    await recordSecurityEvent(user, 'password_reset', req);
+
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -294,7 +633,11 @@ const resetPassword = async (req, res) => {
 // Get user by ID
 const getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password -emailVerificationToken -passwordResetToken -loginAttempts -lockUntil');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await buildUserSummary(req.params.id, req.user.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -304,13 +647,1199 @@ const getUserById = async (req, res) => {
   }
 };
 
-// Delete user account
-const deleteUser = async (req, res) => {
+// List the current user's security events, newest first
+const getSecurityLog = async (req, res) => {
   try {
-    const userId = req.user.userId;
-    await User.findByIdAndDelete(userId);
-    res.json({ message: 'Account deleted successfully' });
+    const { type } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { userId: req.user.userId };
+    if (type) filter.type = type;
+
+    const events = await SecurityEvent.find(filter)
+      .select('type ipAddress userAgent details alertSent createdAt')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const total = await SecurityEvent.countDocuments(filter);
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get security log error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Turn security alert emails on or off
+const updateSecurityAlerts = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be a boolean' });
+    }
+
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $set: { 'preferences.notifications.securityAlerts': enabled } }
+    );
+
+    res.json({ message: `Security alerts ${enabled ? 'enabled' : 'disabled'}`, securityAlerts: enabled });
+  } catch (error) {
+    console.error('Update security alerts error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Import solved problems from a coding platform's submission export
+const importPlatformHistory = async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!importers.getImporter(platform)) {
+      return res.status(400).json({ message: `Unsupported platform. Use one of: ${importers.PLATFORM_IDS.join(', ')}` });
+    }
+
+    const user = await User.findById(req.user.userId).select('profile.platformHandles');
+    const handle = user?.profile?.platformHandles?.[platform];
+    if (!handle) {
+      return res.status(400).json({ message: `Link your ${platform} handle on your profile before importing` });
+    }
+
+    const report = await importers.importSolvedHistory(user._id, platform, req.file, { handle, dryRun });
+
+    res.json({
+      message: dryRun ? 'Import preview ready' : 'Import completed',
+      ...report
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_EXPORT') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Import platform history error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get notification preferences with the available events and channels
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select('preferences.notifications')
+      .populate('preferences.notifications.groups.groupId', 'name avatar');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      preferences: user.preferences.notifications,
+      events: notificationPreferences.NOTIFICATION_EVENTS,
+      groupEvents: notificationPreferences.GROUP_NOTIFICATION_EVENTS,
+      channels: notificationPreferences.NOTIFICATION_CHANNELS
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Update channel switches, per-event defaults and quiet hours
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { events, quietHours } = req.body;
+    const updateData = {};
+
+    for (const field of ['email', 'push', 'securityAlerts']) {
+      if (req.body[field] !== undefined) {
+        if (typeof req.body[field] !== 'boolean') {
+          return res.status(400).json({ message: `${field} must be a boolean` });
+        }
+        updateData[`preferences.notifications.${field}`] = req.body[field];
+      }
+    }
+
+    if (events !== undefined) {
+      const eventsError = notificationPreferences.validateEventSettings(events);
+      if (eventsError) {
+        return res.status(400).json({ message: eventsError });
+      }
+      for (const [event, channels] of Object.entries(events)) {
+        for (const [channel, value] of Object.entries(channels)) {
+          updateData[`preferences.notifications.events.${event}.${channel}`] = value;
+        }
+      }
+    }
+
+    if (quietHours !== undefined) {
+      const { enabled, start, end, timezone } = quietHours || {};
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({ message: 'quietHours.enabled must be a boolean' });
+      }
+      if ((start !== undefined && !notificationPreferences.isValidTime(start)) ||
+        (end !== undefined && !notificationPreferences.isValidTime(end))) {
+        return res.status(400).json({ message: 'Quiet hours must use HH:MM times' });
+      }
+      if (timezone !== undefined && !notificationPreferences.isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: 'Invalid timezone' });
+      }
+      Object.entries({ enabled, start, end, timezone })
+        .filter(([, value]) => value !== undefined)
+        .forEach(([key, value]) => { updateData[`preferences.notifications.quietHours.${key}`] = value; });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).select('preferences.notifications');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Notification preferences updated successfully', preferences: user.preferences.notifications });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Mute a group or override event settings for it
+const updateGroupNotificationPreferences = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { muted, events } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    if (muted !== undefined && typeof muted !== 'boolean') {
+      return res.status(400).json({ message: 'muted must be a boolean' });
+    }
+
+    if (events !== undefined) {
+      const eventsError = notificationPreferences.validateEventSettings(events, {
+        allowedEvents: notificationPreferences.GROUP_NOTIFICATION_EVENTS,
+        allowInherit: true
+      });
+      if (eventsError) {
+        return res.status(400).json({ message: eventsError });
+      }
+    }
+
+    const membership = await GroupMember.findOne({ userId: req.user.userId, groupId, status: 'active' });
+    if (!membership) {
+      return res.status(403).json({ message: 'You are not a member of this group' });
+    }
+
+    const user = await User.findById(req.user.userId).select('preferences.notifications');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    let groupPreference = user.preferences.notifications.groups.find(entry => entry.groupId.toString() === groupId);
+    if (!groupPreference) {
+      user.preferences.notifications.groups.push({ groupId });
+      groupPreference = user.preferences.notifications.groups[user.preferences.notifications.groups.length - 1];
+    }
+
+    if (muted !== undefined) groupPreference.muted = muted;
+    for (const [event, channels] of Object.entries(events || {})) {
+      for (const [channel, value] of Object.entries(channels)) {
+        groupPreference.set(`events.${event}.${channel}`, value === null ? undefined : value);
+      }
+    }
+
+    await user.save();
+
+    res.json({ message: 'Group notification preferences updated successfully', preferences: groupPreference });
+  } catch (error) {
+    console.error('Update group notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Drop a group's overrides so the user's defaults apply again
+const resetGroupNotificationPreferences = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ message: 'Invalid group ID' });
+    }
+
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $pull: { 'preferences.notifications.groups': { groupId } } }
+    );
+
+    res.json({ message: 'Group notification preferences reset' });
+  } catch (error) {
+    console.error('Reset group notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get a user's profile with activity across their groups, limited by privacy settings
+const getPublicProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const profile = await buildPublicProfile(id, req.user.userId);
+    if (!profile) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Update which profile sections other users can see
+const updatePrivacySettings = async (req, res) => {
+  try {
+    const updateData = {};
+
+    if (req.body.profileVisibility !== undefined) {
+      if (!User.schema.path('privacy.profileVisibility').enumValues.includes(req.body.profileVisibility)) {
+        return res.status(400).json({ message: 'Invalid profile visibility' });
+      }
+      updateData['privacy.profileVisibility'] = req.body.profileVisibility;
+    }
+
+    const sections = ['showStatistics', 'showActivityHeatmap', 'showBreakdown', 'showSolutions', 'showRecentActivity', 'showGroups'];
+    for (const section of sections) {
+      if (req.body[section] !== undefined) {
+        if (typeof req.body[section] !== 'boolean') {
+          return res.status(400).json({ message: `${section} must be a boolean` });
+        }
+        updateData[`privacy.${section}`] = req.body[section];
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).select('privacy');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Privacy settings updated successfully', privacy: user.privacy });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Schedule the account for deletion after the grace period
+const deleteUser = async (req, res) => {
+  try {
+    const { password, code, recoveryCode, policy = accountDeletion.DEFAULT_POLICY } = req.body;
+    const userId = req.user.userId;
+
+    if (!accountDeletion.DELETION_POLICIES.includes(policy)) {
+      return res.status(400).json({ message: 'Policy must be anonymize or delete' });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is already scheduled' });
+    }
+
+    const identityDenial = await confirmIdentity(req, user, { password, code, recoveryCode });
+    if (identityDenial) {
+      return res.status(identityDenial.status).json(identityDenial.body);
+    }
+
+    const deletion = await accountDeletion.scheduleDeletion(user, policy);
+
+    // Sign out other devices; the current one stays so the user can still cancel
+    await Session.revokeAllForUser(user._id, 'revoked', req.user.sessionId);
+
+    res.json({
+      message: `Account scheduled for deletion. You can cancel within ${accountDeletion.GRACE_PERIOD_DAYS} days by logging in.`,
+      scheduledFor: deletion.scheduledFor,
+      policy: deletion.policy
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Cancel a scheduled account deletion
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is not scheduled' });
+    }
+
+    await accountDeletion.cancelDeletion(user);
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Start an email change; the current address stays active until the new one is confirmed
+const requestEmailChange = async (req, res) => {
+  try {
+    const { password, code, recoveryCode, newEmail } = req.body;
+
+    if (!newEmail) {
+      return res.status(400).json({ message: 'New email is required' });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const normalizedEmail = newEmail.trim().toLowerCase();
+    if (!emailRegex.test(normalizedEmail)) {
+      return res.status(400).json({ message: 'Invalid email format' });
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const identityDenial = await confirmIdentity(req, user, { password, code, recoveryCode });
+    if (identityDenial) {
+      return res.status(identityDenial.status).json(identityDenial.body);
+    }
+
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Email is already in use' });
+    }
+
+    const changeToken = crypto.randomBytes(32).toString('hex');
+    user.emailChange = {
+      newEmail: normalizedEmail,
+      token: hashToken(changeToken),
+      expires: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
+    };
+    await user.save();
+
+    await mailer.sendEmailChangeConfirmation(user, normalizedEmail, changeToken);
+
+    res.json({
+      message: 'Confirmation email sent to the new address',
+      pendingEmail: normalizedEmail
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Cancel a pending email change
+const cancelEmailChange = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.emailChange?.newEmail) {
+      return res.status(400).json({ message: 'No email change is pending' });
+    }
+
+    user.emailChange = undefined;
+    await user.save();
+
+    res.json({ message: 'Email change cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Confirm the new address and notify the old one
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const user = await User.findOne({
+      'emailChange.token': hashToken(token),
+      'emailChange.expires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired confirmation token' });
+    }
+
+    const newEmail = user.emailChange.newEmail;
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      user.emailChange = undefined;
+      await user.save();
+      return res.status(400).json({ message: 'Email is already in use' });
+    }
+
+    const previousEmail = user.email;
+    const undoToken = crypto.randomBytes(32).toString('hex');
+
+    user.email = newEmail;
+    user.isEmailVerified = true;
+    user.emailChange = undefined;
+    user.emailChangeUndo = {
+      previousEmail,
+      token: hashToken(undoToken),
+      expires: Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
+    };
+    await user.save();
+    await recordSecurityEvent(user, 'email_changed', req, { previousEmail, newEmail });
+
+    // The change is done; a failed notice should not undo it
+    try {
+      await mailer.sendEmailChangedNotice(user, previousEmail, undoToken);
+    } catch (mailError) {
+      console.error('Send email changed notice error:', mailError);
+    }
+
+    res.json({ message: 'Email changed successfully', email: user.email });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Email is already in use' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Revert an email change from the link sent to the previous address
+const undoEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const user = await User.findOne({
+      'emailChangeUndo.token': hashToken(token),
+      'emailChangeUndo.expires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired undo token' });
+    }
+
+    const previousEmail = user.emailChangeUndo.previousEmail;
+    const existingUser = await User.findOne({ email: previousEmail, _id: { $ne: user._id } });
+    if (existingUser) {
+      return res.status(409).json({ message: 'The previous email address is now used by another account' });
+    }
+
+    user.email = previousEmail;
+    user.isEmailVerified = true;
+    user.emailChange = undefined;
+    user.emailChangeUndo = undefined;
+    await user.save();
+
+    // Whoever changed the email may still be signed in or hold an access token
+    await Session.revokeAllForUser(user._id, 'revoked');
+    await PersonalAccessToken.revokeAllForUser(user._id);
+    await recordSecurityEvent(user, 'email_changed', req, { reverted: true, newEmail: previousEmail });
+
+    res.json({
+      message: 'Email change reverted and all devices signed out. We recommend resetting your password.',
+      email: user.email
+    });
+  } catch (error) {
+    console.error('Undo email change error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// List personal access tokens
+const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ userId: req.user.userId, revokedAt: null })
+      .select('name tokenPrefix scopes expiresAt lastUsedAt lastUsedIp createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      tokens,
+      availableScopes: PersonalAccessToken.TOKEN_SCOPES
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Create a personal access token; the token is only returned here
+const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = 30 } = req.body;
+    const userId = req.user.userId;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Token name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'At least one scope is required' });
+    }
+
+    const invalidScopes = scopes.filter(scope => !PersonalAccessToken.TOKEN_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ message: `Invalid scopes: ${invalidScopes.join(', ')}` });
+    }
+
+    const days = parseInt(expiresInDays);
+    if (!days || days < 1 || days > 365) {
+      return res.status(400).json({ message: 'Expiry must be between 1 and 365 days' });
+    }
+
+    const activeTokens = await PersonalAccessToken.countDocuments({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeTokens >= 20) {
+      return res.status(400).json({ message: 'You can only have up to 20 active access tokens' });
+    }
+
+    const token = generatePersonalAccessToken();
+    const accessToken = await PersonalAccessToken.create({
+      userId,
+      name: name.trim(),
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, 10),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      token,
+      accessToken: {
+        _id: accessToken._id,
+        name: accessToken.name,
+        tokenPrefix: accessToken.tokenPrefix,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        createdAt: accessToken.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Revoke a personal access token
+const revokeAccessToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid token ID' });
+    }
+
+    const accessToken = await PersonalAccessToken.findOne({ _id: id, userId: req.user.userId, revokedAt: null });
+    if (!accessToken) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    accessToken.revokedAt = new Date();
+    await accessToken.save();
+
+    res.json({ message: 'Access token revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Download an archive of all personal data
+const exportUserData = async (req, res) => {
+  try {
+    const fileName = `codebuddy-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await dataExport.writeExportArchive(req.user.userId, res);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Exchange a refresh token for a new token pair
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Log out the current session
+const logoutUser = async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await Session.updateOne(
+        { _id: req.user.sessionId, userId: req.user.userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// List active sessions (devices) of the current user
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session._id.toString() === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Revoke a single session
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+
+    const session = await Session.findOne({ _id: id, userId: req.user.userId, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Revoke all sessions, optionally keeping the current one
+const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent !== 'false';
+
+    const result = await Session.revokeAllForUser(
+      req.user.userId,
+      'revoked',
+      keepCurrent ? req.user.sessionId : undefined
+    );
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Start two-factor enrollment
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TOTP_ISSUER || 'CodeBuddy'
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri,
+      qrCode
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Confirm enrollment with a first code and enable two-factor
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await User.findById(req.user.userId).select(`${TWO_FACTOR_SECRET_FIELDS} +twoFactor.pendingSecret`);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = setRecoveryCodes(user);
+    await user.save();
+    await recordSecurityEvent(user, 'two_factor_enabled', req);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Disable two-factor; needs the password and a current code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'An authentication code or recovery code is required' });
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // Accounts created through OAuth have no password, so the second factor alone confirms it is them
+    if (user.hasPassword && !password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+
+    const isMatch = !user.hasPassword || await user.comparePassword(password);
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ message: 'Invalid password or authentication code' });
+    }
+
+    // Staff of groups that require two-factor must keep it on
+    const staffMemberships = await GroupMember.find({
+      userId: user._id,
+      role: { $in: STAFF_ROLES },
+      status: 'active'
+    }).select('groupId');
+    const requiringGroups = await Group.find({
+      _id: { $in: staffMemberships.map(membership => membership.groupId) },
+      isActive: true,
+      'settings.requireStaffTwoFactor': true
+    }).select('name');
+
+    if (requiringGroups.length > 0) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is required for your role in these groups',
+        groups: requiringGroups.map(group => ({ _id: group._id, name: group.name }))
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await recordSecurityEvent(user, 'two_factor_disabled', req);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Replace all recovery codes
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = setRecoveryCodes(user);
+    await user.save();
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// List configured OAuth providers
+const getOAuthProviders = async (req, res) => {
+  res.json({ providers: oauth.listProviders() });
+};
+
+const OAUTH_NONCE_COOKIE = 'oauth_nonce';
+// The client and API can be on different sites, so production needs SameSite=None to send
+// the cookie with the callback request. The client must send it with credentials.
+const OAUTH_NONCE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/users/oauth'
+};
+
+// Read one cookie from the request
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+// Start a sign-in or link flow. The nonce goes into an httpOnly cookie and its hash into the
+// state, so a state that leaks through the provider URL or browser history is useless elsewhere.
+const startOAuthFlow = async (res, provider, { mode, userId }) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  res.cookie(OAUTH_NONCE_COOKIE, nonce, { ...OAUTH_NONCE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+
+  const state = generateOAuthState({ provider: provider.name, mode, userId, nonce });
+  return provider.getAuthorizationUrl({ state, redirectUri: oauth.getRedirectUri(provider.name) });
+};
+
+// Check the state against this browser's nonce cookie and exchange the code for the provider
+// profile. Returns { provider, decodedState, profile, denial }; denial is null on success.
+const exchangeOAuthCode = async (req, res, mode) => {
+  const { code, state } = req.body;
+
+  const provider = oauth.getProvider(req.params.provider);
+  if (!provider) {
+    return { denial: { status: 404, body: { message: 'Unknown sign-in provider' } } };
+  }
+
+  if (!code || !state) {
+    return { denial: { status: 400, body: { message: 'Code and state are required' } } };
+  }
+
+  const decodedState = verifyOAuthState(state, provider.name, readCookie(req, OAUTH_NONCE_COOKIE));
+  if (!decodedState || decodedState.mode !== mode) {
+    return { denial: { status: 400, body: { message: 'Invalid or expired OAuth state' } } };
+  }
+  res.clearCookie(OAUTH_NONCE_COOKIE, OAUTH_NONCE_COOKIE_OPTIONS);
+
+  try {
+    const profile = await provider.exchangeCode({ code, redirectUri: oauth.getRedirectUri(provider.name) });
+    return { provider, decodedState, profile, denial: null };
+  } catch (providerError) {
+    console.error('OAuth code exchange error:', providerError);
+    return { denial: { status: 401, body: { message: `Could not sign in with ${provider.displayName}` } } };
+  }
+};
+
+const toOAuthAccount = (provider, profile) => ({
+  provider: provider.name,
+  providerUserId: profile.providerUserId,
+  email: profile.email,
+  username: profile.username,
+  profileUrl: profile.profileUrl
+});
+
+// Get the provider authorization URL for signing in
+const getOAuthAuthorizationUrl = async (req, res) => {
+  try {
+    const provider = oauth.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown sign-in provider' });
+    }
+
+    const url = await startOAuthFlow(res, provider, { mode: 'login' });
+
+    res.json({ url });
+  } catch (error) {
+    console.error('OAuth authorize error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get the provider authorization URL for linking it to the current account
+const getOAuthLinkUrl = async (req, res) => {
+  try {
+    const provider = oauth.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown sign-in provider' });
+    }
+
+    const url = await startOAuthFlow(res, provider, { mode: 'link', userId: req.user.userId });
+
+    res.json({ url });
+  } catch (error) {
+    console.error('OAuth link error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Provider callback for signing in: signs in, creating or linking an account by verified email
+const handleOAuthCallback = async (req, res) => {
+  try {
+    const { provider, profile, denial } = await exchangeOAuthCode(req, res, 'login');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const oauthAccount = toOAuthAccount(provider, profile);
+
+    let user = await User.findOne({
+      oauthAccounts: { $elemMatch: { provider: provider.name, providerUserId: profile.providerUserId } }
+    });
+
+    if (!user) {
+      if (!profile.email || !profile.emailVerified) {
+        return res.status(400).json({
+          message: `Your ${provider.displayName} account has no verified email address`
+        });
+      }
+
+      user = await User.findOne({ email: profile.email });
+
+      if (user) {
+        // Only link to accounts that have proven ownership of the email themselves
+        if (!user.isEmailVerified) {
+          return res.status(409).json({
+            message: 'An account with this email already exists. Sign in with your password and link the provider from your profile.'
+          });
+        }
+        user.oauthAccounts.push(oauthAccount);
+      } else {
+        user = new User({
+          name: profile.name || profile.email.split('@')[0],
+          email: profile.email,
+          password: crypto.randomBytes(32).toString('hex'),
+          hasPassword: false,
+          isEmailVerified: true,
+          avatar: profile.avatar || '',
+          oauthAccounts: [oauthAccount]
+        });
+      }
+
+      if (provider.name === 'github' && !user.profile?.githubUrl && profile.profileUrl) {
+        user.profile.githubUrl = profile.profileUrl;
+      }
+      await user.save();
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'User not found or inactive' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user)
+      });
+    }
+
+    await sendLoginResponse(user, req, res, provider.name);
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Provider callback for linking: only the signed-in user who started the flow can finish it
+const linkOAuthCallback = async (req, res) => {
+  try {
+    const { provider, decodedState, profile, denial } = await exchangeOAuthCode(req, res, 'link');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    if (decodedState.userId !== req.user.userId.toString()) {
+      return res.status(403).json({ message: 'This link request was started by another account' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const linkedUser = await User.findOne({
+      oauthAccounts: { $elemMatch: { provider: provider.name, providerUserId: profile.providerUserId } }
+    });
+    if (linkedUser) {
+      const message = linkedUser._id.equals(user._id)
+        ? `${provider.displayName} is already linked to your account`
+        : `This ${provider.displayName} account is linked to another user`;
+      return res.status(409).json({ message });
+    }
+
+    if (user.oauthAccounts.some(account => account.provider === provider.name)) {
+      return res.status(409).json({ message: `Another ${provider.displayName} account is already linked` });
+    }
+
+    user.oauthAccounts.push(toOAuthAccount(provider, profile));
+    if (provider.name === 'github' && !user.profile?.githubUrl && profile.profileUrl) {
+      user.profile.githubUrl = profile.profileUrl;
+    }
+    await user.save();
+
+    res.json({
+      message: `${provider.displayName} account linked successfully`,
+      oauthAccounts: user.oauthAccounts
+    });
+  } catch (error) {
+    console.error('OAuth link callback error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Unlink a provider from the current account
+const unlinkOAuthProvider = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const account = user.oauthAccounts.find(linked => linked.provider === provider);
+    if (!account) {
+      return res.status(404).json({ message: 'Provider is not linked to your account' });
+    }
+
+    // Keep at least one way to sign in
+    if (!user.hasPassword && user.oauthAccounts.length === 1) {
+      return res.status(400).json({
+        message: 'Set a password before unlinking your only sign-in provider'
+      });
+    }
+
+    user.oauthAccounts.pull(account._id);
+    await user.save();
+
+    res.json({
+      message: 'Provider unlinked successfully',
+      oauthAccounts: user.oauthAccounts
+    });
   } catch (error) {
+    console.error('OAuth unlink error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
@@ -318,12 +1847,51 @@ const deleteUser = async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   getUserProfile,
   updateUserProfile,
+  uploadAvatar,
+  removeAvatar,
   changePassword,
   verifyEmail,
   forgotPassword,
+  resendVerificationEmail,
   resetPassword,
+  getPasswordPolicy,
+  checkPasswordStrength,
   getUserById,
-  deleteUser
+  getPublicProfile,
+  updatePrivacySettings,
+  getSecurityLog,
+  updateSecurityAlerts,
+  importPlatformHistory,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  updateGroupNotificationPreferences,
+  resetGroupNotificationPreferences,
+  deleteUser,
+  cancelAccountDeletion,
+  exportUserData,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  requestEmailChange,
+  cancelEmailChange,
+  confirmEmailChange,
+  undoEmailChange,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getOAuthProviders,
+  getOAuthAuthorizationUrl,
+  getOAuthLinkUrl,
+  linkOAuthCallback,
+  handleOAuthCallback,
+  unlinkOAuthProvider
 };
\ No newline at end of file
@@ -1,5 +1,39 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { JWT_SECRET, hashToken, isPersonalAccessToken } = require('../utils/tokens');
+
+// Only touch lastUsedAt once per minute to avoid a write on every request
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+// Authenticate a personal access token used for scripting
+const authenticatePersonalAccessToken = async (token, req, res, next) => {
+  const accessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!accessToken || !accessToken.isValid) {
+    return res.status(401).json({ message: 'Invalid, expired or revoked access token' });
+  }
+
+  const user = await User.findById(accessToken.userId);
+  if (!user || !user.isActive) {
+    return res.status(401).json({ message: 'User not found or inactive' });
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+    accessToken.lastUsedAt = new Date();
+    accessToken.lastUsedIp = req.ip;
+    await accessToken.save();
+  }
+
+  req.user = {
+    userId: user._id.toString(),
+    email: user.email,
+    authType: 'personal_access_token',
+    tokenId: accessToken._id.toString(),
+    scopes: accessToken.scopes
+  };
+  next();
+};
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -9,7 +43,16 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided, access denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    if (isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(token, req, res, next);
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // MFA and OAuth state tokens are signed with the same secret but are not access tokens
+    if (decoded.type) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
     
     // Check if user still exists and is active
     const user = await User.findById(decoded.userId);
@@ -22,6 +65,20 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Password recently changed, please log in again' });
     }
 
+    // Check that the session behind the token has not been revoked
+    if (decoded.sessionId) {
+      const session = await Session.findById(decoded.sessionId);
+      if (!session || !session.isValid) {
+        return res.status(401).json({ message: 'Session has been revoked, please log in again' });
+      }
+
+      if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+        session.lastUsedAt = new Date();
+        session.ipAddress = req.ip;
+        await session.save();
+      }
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -45,4 +102,20 @@ const adminMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = { authMiddleware, adminMiddleware };
\ No newline at end of file
+// Personal access tokens must carry the scope; login sessions have every scope
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user.authType !== 'personal_access_token' || req.user.scopes.includes(scope)) {
+    return next();
+  }
+  res.status(403).json({ message: `Access token is missing the required scope: ${scope}` });
+};
+
+// Account and security settings can only be changed from a login session
+const requireSession = (req, res, next) => {
+  if (req.user.authType === 'personal_access_token') {
+    return res.status(403).json({ message: 'This action cannot be performed with an access token' });
+  }
+  next();
+};
+
+module.exports = { authMiddleware, adminMiddleware, requireScope, requireSession };
\ No newline at end of file
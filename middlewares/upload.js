@@ -0,0 +1,51 @@
+const path = require('path');
+const multer = require('multer');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Accept a single file held in memory, limited by size, extension and optionally MIME type.
+// Errors are answered with 400 so handlers only see valid uploads in req.file.
+const singleFileUpload = (fieldName, { maxSize, extensions, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!extensions.includes(extension) || (mimeTypes && !mimeTypes.includes(file.mimetype))) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', fieldName));
+      }
+      cb(null, true);
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ message: `File must be smaller than ${Math.round(maxSize / 1024 / 1024)} MB` });
+        }
+        return res.status(400).json({ message: `Upload a single ${extensions.join(', ')} file in the "${fieldName}" field` });
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return res.status(400).json({ message: `A file is required in the "${fieldName}" field` });
+      }
+      next();
+    });
+  };
+};
+
+// Image uploads; the content itself is checked again when the image is processed
+const imageUpload = (fieldName, maxSize) => singleFileUpload(fieldName, {
+  maxSize,
+  extensions: IMAGE_EXTENSIONS,
+  mimeTypes: IMAGE_MIME_TYPES
+});
+
+module.exports = {
+  singleFileUpload,
+  imageUpload
+};
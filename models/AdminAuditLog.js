@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const adminAuditLogSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'user_deactivated',
+      'user_reactivated',
+      'user_unlocked',
+      'user_role_changed',
+      'user_email_verified',
+      'group_deactivated'
+    ]
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Group'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetType'
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    trim: true
+  },
+  // Action-specific details, e.g. previous and new role
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ adminId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
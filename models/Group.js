@@ -23,10 +23,6 @@ const groupSchema = new mongoose.Schema({
     ref: 'User', 
     required: true 
   },
-  moderators: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
   inviteCode: { 
     type: String, 
     unique: true, // This creates an index automatically
@@ -52,6 +48,14 @@ const groupSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Uploaded avatar thumbnails; avatar holds the medium one
+  avatarImage: {
+    small: String,
+    medium: String,
+    large: String,
+    // Storage keys of every size, used to delete the files
+    keys: [String]
+  },
   settings: {
     allowMemberInvites: {
       type: Boolean,
@@ -68,8 +72,26 @@ const groupSchema = new mongoose.Schema({
     muteMembers: {
       type: Boolean,
       default: false
+    },
+    requireStaffTwoFactor: {
+      type: Boolean,
+      default: false
     }
   },
+  // Scoring formula of the group leaderboard, picked by the group admin
+  leaderboard: {
+    // Points for solving a question, by the difficulty it was posted with
+    difficultyPoints: {
+      Easy: { type: Number, default: 1, min: 0, max: 100 },
+      Medium: { type: Number, default: 3, min: 0, max: 100 },
+      Hard: { type: Number, default: 5, min: 0, max: 100 }
+    },
+    // Extra points for a solve reported within speedBonusMinutes; 0 turns the bonus off
+    speedBonus: { type: Number, default: 0, min: 0, max: 100 },
+    speedBonusMinutes: { type: Number, default: 30, min: 1, max: 24 * 60 },
+    // Extra points for each question the member shared a solution on; 0 turns the bonus off
+    solutionBonus: { type: Number, default: 0, min: 0, max: 100 }
+  },
   statistics: {
     totalQuestions: {
       type: Number,
@@ -88,6 +110,22 @@ const groupSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  archivedAt: Date,
+  // Ownership transfer in progress; only left behind when one stopped half way on a
+  // standalone server, see services/groupOwnership
+  pendingTransfer: {
+    type: new mongoose.Schema({
+      transferId: mongoose.Schema.Types.ObjectId,
+      fromUserId: mongoose.Schema.Types.ObjectId,
+      toUserId: mongoose.Schema.Types.ObjectId,
+      previousOwnerRole: String,
+      actorId: mongoose.Schema.Types.ObjectId,
+      reason: String,
+      automatic: Boolean,
+      startedAt: Date
+    }, { _id: false }),
+    default: undefined
+  },
   inviteCodeExpiry: {
     type: Date
   },
@@ -124,5 +162,8 @@ groupSchema.index({ category: 1 });
 groupSchema.index({ tags: 1 });
 groupSchema.index({ createdAt: -1 });
 groupSchema.index({ 'statistics.lastActivity': -1 });
+groupSchema.index({ isPrivate: 1, isActive: 1, 'statistics.totalMembers': -1 });
+// Directory search; a collection can only have one text index
+groupSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 }, name: 'group_text_search' });
 
 module.exports = mongoose.model('Group', groupSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// History of sensitive changes inside a group, readable by its staff
+const groupAuditLogSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  // Missing for automatic changes, e.g. a hand-over when the owner's account is deleted
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'ownership_transferred',
+      'moderator_added',
+      'moderator_removed',
+      'member_permissions_changed',
+      'invite_link_created',
+      'invite_link_revoked',
+      'member_banned',
+      'member_unbanned',
+      'ban_appeal_rejected',
+      'member_muted',
+      'member_unmuted',
+      'read_only_changed',
+      'leaderboard_settings_changed'
+    ]
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    trim: true
+  },
+  // Action-specific details, e.g. the previous owner's new role
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+groupAuditLogSchema.index({ groupId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GroupAuditLog', groupAuditLogSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// An invitation emailed to one address. Only the hash of the emailed token is stored.
+const groupInvitationSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: 500,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+groupInvitationSchema.index({ groupId: 1, status: 1, createdAt: -1 });
+// At most one open invitation per address and group
+groupInvitationSchema.index(
+  { groupId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Status as shown to admins: a pending invitation past its expiry counts as 'expired'
+groupInvitationSchema.virtual('state').get(function() {
+  if (this.status === 'pending' && this.expiresAt <= new Date()) return 'expired';
+  return this.status;
+});
+
+groupInvitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('GroupInvitation', groupInvitationSchema);
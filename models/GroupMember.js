@@ -18,7 +18,7 @@ const groupMemberSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'pending', 'banned', 'left'],
+    enum: ['active', 'pending', 'rejected', 'banned', 'left'],
     default: 'active'
   },
   joinedAt: { 
@@ -38,22 +38,83 @@ const groupMemberSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // true or false overrides the group's allowMemberInvites setting; null follows it
     canInviteMembers: {
       type: Boolean,
-      default: false
+      default: null
     }
   },
   invitedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Invite link the member joined, or asked to join, through
+  inviteLinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InviteLink'
+  },
   banReason: String,
   bannedAt: Date,
   bannedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  mutedUntil: Date
+  // End of a timed ban; permanent when not set
+  bannedUntil: Date,
+  // One appeal per ban, written by the banned user
+  banAppeal: {
+    message: {
+      type: String,
+      maxlength: 1000,
+      trim: true
+    },
+    submittedAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    response: {
+      type: String,
+      maxlength: 500,
+      trim: true
+    }
+  },
+  // Set while a moderator has muted the member; the mute ends by itself at mutedUntil
+  mutedUntil: Date,
+  mutedAt: Date,
+  mutedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  muteReason: {
+    type: String,
+    maxlength: 500,
+    trim: true
+  },
+  // Set while the membership is, or was, a request waiting for approval
+  joinRequest: {
+    message: {
+      type: String,
+      maxlength: 500,
+      trim: true
+    },
+    requestedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: {
+      type: String,
+      maxlength: 500,
+      trim: true
+    }
+  }
 }, { 
   timestamps: true 
 });
@@ -62,6 +123,8 @@ const groupMemberSchema = new mongoose.Schema({
 groupMemberSchema.index({ userId: 1, groupId: 1 }, { unique: true });
 groupMemberSchema.index({ groupId: 1, status: 1 });
 groupMemberSchema.index({ userId: 1, status: 1 });
+groupMemberSchema.index({ groupId: 1, status: 1, 'joinRequest.requestedAt': 1 });
+groupMemberSchema.index({ inviteLinkId: 1, status: 1 }, { sparse: true });
 
 // Update last active time
 groupMemberSchema.methods.updateLastActive = function() {
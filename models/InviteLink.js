@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One of several managed invite links of a group. Members who join through a link
+// keep its id in GroupMember.inviteLinkId, which is what the link stats are built from.
+const inviteLinkSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: Date,
+  // Unlimited when not set
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  // Role given to members who join through this link
+  defaultRole: {
+    type: String,
+    enum: ['member', 'moderator'],
+    default: 'member'
+  },
+  // Let people in directly even when the group requires admin approval
+  autoApprove: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+inviteLinkSchema.index({ groupId: 1, createdAt: -1 });
+
+// Longer than the group's own 8 character code so the two never collide
+inviteLinkSchema.statics.generateCode = function() {
+  return crypto.randomBytes(6).toString('hex').toUpperCase();
+};
+
+// Atomically take one use of a link that is still open.
+// Resolves to the updated link, or null if it was revoked, expired or used up meanwhile.
+inviteLinkSchema.statics.redeem = function(linkId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: linkId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { uses: 1 }, $set: { lastUsedAt: now } },
+    { new: true }
+  );
+};
+
+// 'active', 'revoked', 'expired' or 'exhausted'
+inviteLinkSchema.virtual('state').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  if (this.maxUses && this.uses >= this.maxUses) return 'exhausted';
+  return 'active';
+});
+
+inviteLinkSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('InviteLink', inviteLinkSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Precomputed statistics of one user in one group, built from the memberResponses of the
+// group's active questions. Kept up to date by services/memberStats; a missing document
+// means the user has not responded to anything yet.
+const memberStatsSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  problemsSolved: {
+    type: Number,
+    default: 0
+  },
+  // Questions responded to, whatever the status
+  totalResponses: {
+    type: Number,
+    default: 0
+  },
+  // Percentage of responses that are solves, rounded
+  successRate: {
+    type: Number,
+    default: 0
+  },
+  // Solves in a row, counting back from the newest question responded to
+  currentStreak: {
+    type: Number,
+    default: 0
+  },
+  // Minutes, over solves that reported a time; null when none did
+  averageTimeToSolve: {
+    type: Number,
+    default: null
+  },
+  lastResponseAt: Date,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+memberStatsSchema.index({ groupId: 1, userId: 1 }, { unique: true });
+memberStatsSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('MemberStats', memberStatsSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// How long notifications are kept before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'join_request_received',
+      'join_request_approved',
+      'join_request_rejected',
+      'group_ownership_received',
+      'group_role_changed',
+      'group_invitation_accepted',
+      'group_banned',
+      'group_unbanned',
+      'ban_appeal_received',
+      'ban_appeal_rejected',
+      'group_muted'
+    ]
+  },
+  // Preference event this notification belongs to; see services/notificationPreferences
+  event: {
+    type: String,
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  // User whose action caused the notification
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  // Frontend path to open, e.g. /groups/<id>
+  link: String,
+  // Type-specific details, e.g. the join request ID
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  emailSent: {
+    type: Boolean,
+    default: false
+  },
+  // Email held back until the recipient's quiet hours end
+  emailDeferred: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ emailDeferred: 1 }, { partialFilterExpression: { emailDeferred: true } });
+// Let MongoDB remove notifications once they are past the retention period
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Scopes a personal access token can be granted
+const TOKEN_SCOPES = [
+  'profile:read',
+  'profile:write',
+  'groups:read',
+  'groups:write',
+  'questions:read',
+  'questions:write',
+  'feedback:read',
+  'feedback:write'
+];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the token; the token itself is only shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true, // This creates an index automatically
+    select: false
+  },
+  // First characters of the token so users can tell tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: TOKEN_SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Virtual for checking if the token can still be used
+personalAccessTokenSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Revoke every active token of a user, e.g. after their credentials change
+personalAccessTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+// Indexes for better performance
+personalAccessTokenSchema.index({ userId: 1, revokedAt: 1, createdAt: -1 });
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+PersonalAccessToken.TOKEN_SCOPES = TOKEN_SCOPES;
+
+module.exports = PersonalAccessToken;
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+// Uploaded image with its stored renditions
+const attachmentSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  originalName: String,
+  // Storage keys of every rendition, used to delete the files
+  keys: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const questionSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -88,7 +112,10 @@ const questionSchema = new mongoose.Schema({
     submittedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    // When the status first became 'solved'; kept through later edits so a solve is only
+    // dated, and scored on the leaderboard, once
+    solvedAt: Date
   }],
   difficultyRatings: [{
     userId: {
@@ -114,11 +141,13 @@ const questionSchema = new mongoose.Schema({
     explanation: String,
     timeComplexity: String,
     spaceComplexity: String,
+    attachments: [attachmentSchema],
     createdAt: {
       type: Date,
       default: Date.now
     }
   }],
+  attachments: [attachmentSchema],
   status: {
     type: String,
     enum: ['active', 'archived', 'deleted'],
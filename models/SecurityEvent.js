@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// How long security events are kept before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.SECURITY_LOG_RETENTION_DAYS) || 365;
+
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'login_success',
+      'login_failed',
+      'account_locked',
+      'password_changed',
+      'password_reset_requested',
+      'password_reset',
+      'email_verified',
+      'email_changed',
+      'two_factor_enabled',
+      'two_factor_disabled'
+    ]
+  },
+  ipAddress: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  // Event-specific details, e.g. why a login failed
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  alertSent: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ userId: 1, type: 1, userAgent: 1 });
+// Let MongoDB remove events once they are past the retention period
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
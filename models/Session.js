@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_changed', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Revoke this session
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', exceptSessionId) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// Indexes for better performance
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// Let MongoDB remove sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
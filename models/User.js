@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { getPolicy } = require('../utils/passwordPolicy');
+
+// Email and push switches for one notification event. Group overrides leave
+// them unset so the user's default applies.
+const notificationChannels = (email, push) => ({
+  email: email === undefined ? Boolean : { type: Boolean, default: email },
+  push: push === undefined ? Boolean : { type: Boolean, default: push }
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,10 +34,45 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Hashes of recent passwords, newest last, so they cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // False for accounts created through OAuth, which get a random password until the user sets one
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  oauthAccounts: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    providerUserId: {
+      type: String,
+      required: true
+    },
+    email: String,
+    username: String,
+    profileUrl: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: {
     type: String,
     default: ''
   },
+  // Uploaded avatar thumbnails; avatar holds the medium one
+  avatarImage: {
+    small: String,
+    medium: String,
+    large: String,
+    // Storage keys of every size, used to delete the files
+    keys: [String]
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'moderator'],
@@ -45,6 +88,28 @@ const userSchema = new mongoose.Schema({
   },
   emailVerificationToken: String,
   emailVerificationExpires: Date,
+  // Email change awaiting confirmation from the new address
+  emailChange: {
+    newEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    token: {
+      type: String,
+      select: false
+    },
+    expires: Date
+  },
+  // Lets the previous address revert a completed email change
+  emailChangeUndo: {
+    previousEmail: String,
+    token: {
+      type: String,
+      select: false
+    },
+    expires: Date
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   passwordChangedAt: Date,
@@ -54,6 +119,43 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   lockUntil: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashed one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Pending account deletion; can be cancelled until scheduledFor
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    policy: {
+      type: String,
+      enum: ['anonymize', 'delete']
+    }
+  },
+  // Set when the account has been anonymized after deletion
+  deletedAt: Date,
   preferences: {
     notifications: {
       email: {
@@ -63,6 +165,62 @@ const userSchema = new mongoose.Schema({
       push: {
         type: Boolean,
         default: true
+      },
+      // Email alerts for sensitive account events such as a lockout
+      securityAlerts: {
+        type: Boolean,
+        default: true
+      },
+      // Defaults per event; see services/notificationPreferences
+      events: {
+        newQuestion: notificationChannels(true, true),
+        solutionReply: notificationChannels(true, true),
+        joinRequest: notificationChannels(true, true),
+        // Changes to the user's own role or standing in a group
+        membershipChange: notificationChannels(true, true),
+        mention: notificationChannels(true, true),
+        weeklyDigest: notificationChannels(true, false)
+      },
+      // Per-group mute and event overrides
+      groups: [{
+        _id: false,
+        groupId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Group',
+          required: true
+        },
+        muted: {
+          type: Boolean,
+          default: false
+        },
+        events: {
+          newQuestion: notificationChannels(),
+          solutionReply: notificationChannels(),
+          joinRequest: notificationChannels(),
+          membershipChange: notificationChannels(),
+          mention: notificationChannels()
+        }
+      }],
+      // Push notifications are held back during these hours, in the user's timezone
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        start: {
+          type: String,
+          default: '22:00',
+          match: /^([01]\d|2[0-3]):([0-5]\d)$/
+        },
+        end: {
+          type: String,
+          default: '07:00',
+          match: /^([01]\d|2[0-3]):([0-5]\d)$/
+        },
+        timezone: {
+          type: String,
+          default: 'UTC'
+        }
       }
     },
     theme: {
@@ -71,6 +229,39 @@ const userSchema = new mongoose.Schema({
       default: 'light'
     }
   },
+  // Controls what other users see on the public profile
+  privacy: {
+    // 'members' limits the profile to people who share a group with the user
+    profileVisibility: {
+      type: String,
+      enum: ['public', 'members', 'private'],
+      default: 'public'
+    },
+    showStatistics: {
+      type: Boolean,
+      default: true
+    },
+    showActivityHeatmap: {
+      type: Boolean,
+      default: true
+    },
+    showBreakdown: {
+      type: Boolean,
+      default: true
+    },
+    showSolutions: {
+      type: Boolean,
+      default: true
+    },
+    showRecentActivity: {
+      type: Boolean,
+      default: true
+    },
+    showGroups: {
+      type: Boolean,
+      default: true
+    }
+  },
   profile: {
     bio: {
       type: String,
@@ -83,7 +274,25 @@ const userSchema = new mongoose.Schema({
     githubUrl: String,
     linkedinUrl: String,
     website: String,
-    location: String
+    location: String,
+    // Handles on coding platforms, used when importing solved history
+    platformHandles: {
+      leetcode: {
+        type: String,
+        trim: true,
+        maxlength: 50
+      },
+      codeforces: {
+        type: String,
+        trim: true,
+        maxlength: 50
+      },
+      hackerrank: {
+        type: String,
+        trim: true,
+        maxlength: 50
+      }
+    }
   },
   statistics: {
     questionsPosted: {
@@ -115,6 +324,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    this.$locals.newPasswordHash = this.password;
     
     // Set password changed timestamp
     if (!this.isNew) {
@@ -127,17 +337,32 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Append the new hash to the password history; done after save because the
+// history is usually not loaded on the document
+userSchema.post('save', async function() {
+  const hash = this.$locals.newPasswordHash;
+  const { historySize } = getPolicy();
+  if (!hash || historySize <= 0) return;
+
+  delete this.$locals.newPasswordHash;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { passwordHistory: { $each: [hash], $slice: -historySize } } }
+  );
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to increment login attempts
-userSchema.methods.incLoginAttempts = function() {
+// Method to increment login attempts; resolves to true when this attempt locked the account
+userSchema.methods.incLoginAttempts = async function() {
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: { lockUntil: 1, loginAttempts: 1 }
     });
+    return false;
   }
   
   const updates = { $inc: { loginAttempts: 1 } };
@@ -148,7 +373,8 @@ userSchema.methods.incLoginAttempts = function() {
     };
   }
   
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return !!updates.$set;
 };
 
 // Indexes for better performance (only non-duplicate ones)
@@ -156,5 +382,10 @@ userSchema.index({ createdAt: -1 });
 userSchema.index({ lastLogin: -1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.providerUserId': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.providerUserId': { $exists: true } } }
+);
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
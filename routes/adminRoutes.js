@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authMiddleware, adminMiddleware, requireSession } = require('../middlewares/auth');
+
+// Platform operators only, from a login session
+router.use(authMiddleware, requireSession, adminMiddleware);
+
+// User management
+router.get('/users', adminController.searchUsers);
+router.get('/users/:id', adminController.getUserDetails);
+router.post('/users/:id/deactivate', adminController.deactivateUser);
+router.post('/users/:id/reactivate', adminController.reactivateUser);
+router.post('/users/:id/unlock', adminController.unlockUser);
+router.put('/users/:id/role', adminController.changeUserRole);
+router.post('/users/:id/verify-email', adminController.verifyUserEmail);
+
+// Group management
+router.get('/groups', adminController.listGroups);
+router.post('/groups/:id/deactivate', adminController.deactivateGroup);
+
+// Audit trail
+router.get('/audit-log', adminController.getAuditLog);
+
+module.exports = router;
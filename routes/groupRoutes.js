@@ -1,26 +1,74 @@
 const express = require('express');
 const router = express.Router();
 const groupController = require('../controllers/groupController');
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, requireScope, requireSession } = require('../middlewares/auth');
 const rateLimiter = require('../middlewares/rateLimiter');
+const { singleFileUpload, imageUpload } = require('../middlewares/upload');
+
+const avatarUpload = imageUpload('avatar', 5 * 1024 * 1024);
+const invitationCsvUpload = singleFileUpload('file', { maxSize: 1024 * 1024, extensions: ['.csv'] });
+
+// Invitation preview is public so invitees without an account can see it before signing up
+router.get('/invitations/:token', groupController.getInvitationByToken);
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
 
 // Group CRUD operations
-router.post('/create', rateLimiter.groupLimiter, groupController.createGroup);
-router.post('/join', rateLimiter.joinLimiter, groupController.joinGroup);
-router.get('/my-groups', groupController.getUserGroups);
-router.get('/:id', groupController.getGroupDetails);
-router.put('/:id', groupController.updateGroup);
+router.post('/create', requireScope('groups:write'), rateLimiter.groupLimiter, groupController.createGroup);
+router.post('/join', requireScope('groups:write'), rateLimiter.joinLimiter, groupController.joinGroup);
+router.get('/my-groups', requireScope('groups:read'), groupController.getUserGroups);
+router.get('/discover', requireScope('groups:read'), groupController.discoverGroups);
+router.post('/invitations/:token/accept', requireScope('groups:write'), groupController.acceptGroupInvitation);
+router.get('/:id', requireScope('groups:read'), groupController.getGroupDetails);
+router.put('/:id', requireScope('groups:write'), groupController.updateGroup);
+router.post('/:id/avatar', requireScope('groups:write'), rateLimiter.uploadLimiter, avatarUpload, groupController.uploadGroupAvatar);
+router.delete('/:id/avatar', requireScope('groups:write'), groupController.removeGroupAvatar);
 
 // Group member operations - ADD THESE MISSING ROUTES
-router.get('/:id/members', groupController.getGroupMembers);
-router.get('/:id/questions', groupController.getGroupQuestions);
+router.get('/:id/members', requireScope('groups:read'), groupController.getGroupMembers);
+router.get('/:id/questions', requireScope('groups:read'), groupController.getGroupQuestions);
+router.get('/:id/leaderboard', requireScope('groups:read'), groupController.getGroupLeaderboard);
+router.put('/:id/leaderboard/settings', requireScope('groups:write'), groupController.updateLeaderboardSettings);
 
 // Group management
-router.post('/:id/leave', groupController.leaveGroup);
-router.delete('/:id/members/:memberId', groupController.removeMember);
-router.post('/:id/invite-code', rateLimiter.inviteLimiter, groupController.generateInviteCode);
+router.post('/:id/join', requireScope('groups:write'), rateLimiter.joinLimiter, groupController.joinPublicGroup);
+router.post('/:id/leave', requireScope('groups:write'), groupController.leaveGroup);
+router.post('/:id/transfer-ownership', requireSession, rateLimiter.strictLimiter, groupController.transferGroupOwnership);
+router.get('/:id/audit-log', requireScope('groups:read'), groupController.getGroupAuditLog);
+
+// Join requests
+router.get('/:id/join-requests', requireScope('groups:read'), groupController.getJoinRequests);
+router.post('/:id/join-requests/:requestId/approve', requireScope('groups:write'), groupController.approveJoinRequest);
+router.post('/:id/join-requests/:requestId/reject', requireScope('groups:write'), groupController.rejectJoinRequest);
+router.delete('/:id/join-request', requireScope('groups:write'), groupController.cancelJoinRequest);
+router.delete('/:id/members/:memberId', requireScope('groups:write'), groupController.removeMember);
+
+// Bans and appeals
+router.get('/:id/bans', requireScope('groups:read'), groupController.getGroupBans);
+router.post('/:id/bans', requireScope('groups:write'), groupController.banUser);
+router.delete('/:id/bans/:userId', requireScope('groups:write'), groupController.unbanUser);
+router.post('/:id/bans/:userId/appeal/reject', requireScope('groups:write'), groupController.rejectBanAppeal);
+router.post('/:id/ban-appeal', requireScope('groups:write'), rateLimiter.strictLimiter, groupController.submitBanAppeal);
+router.put('/:id/members/:memberId/permissions', requireScope('groups:write'), groupController.updateMemberPermissions);
+router.post('/:id/members/:memberId/mute', requireScope('groups:write'), groupController.muteMember);
+router.delete('/:id/members/:memberId/mute', requireScope('groups:write'), groupController.unmuteMember);
+router.put('/:id/read-only', requireScope('groups:write'), groupController.setReadOnlyMode);
+router.post('/:id/moderators/:memberId', requireScope('groups:write'), groupController.promoteModerator);
+router.delete('/:id/moderators/:memberId', requireScope('groups:write'), groupController.demoteModerator);
+router.post('/:id/invite-code', requireScope('groups:write'), rateLimiter.inviteLimiter, groupController.generateInviteCode);
+
+// Email invitations
+router.get('/:id/invitations', requireScope('groups:read'), groupController.getGroupInvitations);
+router.post('/:id/invitations', requireScope('groups:write'), rateLimiter.inviteLimiter, groupController.sendGroupInvitations);
+router.post('/:id/invitations/import', requireScope('groups:write'), rateLimiter.inviteLimiter, invitationCsvUpload, groupController.sendGroupInvitations);
+router.post('/:id/invitations/:invitationId/resend', requireScope('groups:write'), rateLimiter.inviteLimiter, groupController.resendGroupInvitation);
+router.delete('/:id/invitations/:invitationId', requireScope('groups:write'), groupController.cancelGroupInvitation);
+
+// Managed invite links
+router.get('/:id/invite-links', requireScope('groups:read'), groupController.getInviteLinks);
+router.post('/:id/invite-links', requireScope('groups:write'), rateLimiter.inviteLimiter, groupController.createInviteLink);
+router.get('/:id/invite-links/:linkId', requireScope('groups:read'), groupController.getInviteLinkDetails);
+router.delete('/:id/invite-links/:linkId', requireScope('groups:write'), groupController.revokeInviteLink);
 
 module.exports = router;
\ No newline at end of file
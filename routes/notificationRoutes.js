@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authMiddleware, requireScope } = require('../middlewares/auth');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+router.get('/', requireScope('profile:read'), notificationController.getNotifications);
+router.get('/unread-count', requireScope('profile:read'), notificationController.getUnreadCount);
+router.post('/read-all', requireScope('profile:write'), notificationController.markAllAsRead);
+router.post('/:id/read', requireScope('profile:write'), notificationController.markAsRead);
+router.delete('/:id', requireScope('profile:write'), notificationController.deleteNotification);
+
+module.exports = router;
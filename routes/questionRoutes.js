@@ -1,29 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const questionController = require('../controllers/questionController');
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, requireScope } = require('../middlewares/auth');
 const rateLimiter = require('../middlewares/rateLimiter');
+const { imageUpload } = require('../middlewares/upload');
+
+const attachmentUpload = imageUpload('image', 10 * 1024 * 1024);
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
 
 // Question CRUD operations
-router.post('/create', rateLimiter.apiLimiter, questionController.createQuestion);
-router.get('/group/:groupId', questionController.getQuestionsByGroup);
-router.get('/search', questionController.searchQuestions);
-router.get('/:id', questionController.getQuestionById);
-router.put('/:id', questionController.updateQuestion);
-router.delete('/:id', questionController.deleteQuestion);
+router.post('/create', requireScope('questions:write'), rateLimiter.apiLimiter, questionController.createQuestion);
+router.get('/group/:groupId', requireScope('questions:read'), questionController.getQuestionsByGroup);
+router.get('/search', requireScope('questions:read'), questionController.searchQuestions);
+router.get('/:id', requireScope('questions:read'), questionController.getQuestionById);
+router.put('/:id', requireScope('questions:write'), questionController.updateQuestion);
+router.delete('/:id', requireScope('questions:write'), questionController.deleteQuestion);
 
 // Question interactions
-router.post('/:id/rate', questionController.rateDifficulty);
-router.post('/:id/like', questionController.toggleLike);
-router.post('/:id/solutions', questionController.addSolution);
-router.get('/:id/solutions', questionController.getSolutions);
+router.post('/:id/rate', requireScope('questions:write'), questionController.rateDifficulty);
+router.post('/:id/like', requireScope('questions:write'), questionController.toggleLike);
+router.post('/:id/solutions', requireScope('questions:write'), questionController.addSolution);
+router.get('/:id/solutions', requireScope('questions:read'), questionController.getSolutions);
+
+// Image attachments
+router.post('/:id/attachments', requireScope('questions:write'), rateLimiter.uploadLimiter, attachmentUpload, questionController.addQuestionAttachment);
+router.delete('/:id/attachments/:attachmentId', requireScope('questions:write'), questionController.removeQuestionAttachment);
+router.post('/:id/solutions/:solutionId/attachments', requireScope('questions:write'), rateLimiter.uploadLimiter, attachmentUpload, questionController.addSolutionAttachment);
+router.delete('/:id/solutions/:solutionId/attachments/:attachmentId', requireScope('questions:write'), questionController.removeSolutionAttachment);
 
 // Member response routes (NEW)
-router.post('/:questionId/response', rateLimiter.apiLimiter, questionController.submitMemberResponse);
-router.get('/:questionId/response', questionController.getUserQuestionResponse);
-router.get('/:questionId/responses', questionController.getQuestionMemberResponses);
+router.post('/:questionId/response', requireScope('questions:write'), rateLimiter.apiLimiter, questionController.submitMemberResponse);
+router.get('/:questionId/response', requireScope('questions:read'), questionController.getUserQuestionResponse);
+router.get('/:questionId/responses', requireScope('questions:read'), questionController.getQuestionMemberResponses);
 
 module.exports = router;
\ No newline at end of file
@@ -1,23 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, requireScope, requireSession } = require('../middlewares/auth');
 const rateLimiter = require('../middlewares/rateLimiter');
+const { singleFileUpload, imageUpload } = require('../middlewares/upload');
+
+// Platform submission exports (JSON or CSV)
+const exportUpload = singleFileUpload('file', { maxSize: 5 * 1024 * 1024, extensions: ['.json', '.csv'] });
+const avatarUpload = imageUpload('avatar', 5 * 1024 * 1024);
 
 // Public routes
 router.post('/register', rateLimiter.registerLimiter, userController.registerUser);
 router.post('/login', rateLimiter.loginLimiter, userController.loginUser);
+router.post('/login/2fa', rateLimiter.loginLimiter, userController.verifyTwoFactorLogin);
 router.get('/verify/:token', userController.verifyEmail);
+router.post('/resend-verification', rateLimiter.emailVerificationLimiter, userController.resendVerificationEmail);
 router.post('/forgot-password', rateLimiter.passwordResetLimiter, userController.forgotPassword);
 router.post('/reset-password', userController.resetPassword);
+router.get('/password-policy', userController.getPasswordPolicy);
+router.post('/password-strength', rateLimiter.searchLimiter, userController.checkPasswordStrength);
+router.post('/refresh-token', rateLimiter.loginLimiter, userController.refreshAccessToken);
+router.post('/confirm-email-change', rateLimiter.emailVerificationLimiter, userController.confirmEmailChange);
+router.post('/undo-email-change', rateLimiter.emailVerificationLimiter, userController.undoEmailChange);
+
+// OAuth sign-in
+router.get('/oauth/providers', userController.getOAuthProviders);
+router.get('/oauth/:provider/authorize', userController.getOAuthAuthorizationUrl);
+router.post('/oauth/:provider/callback', rateLimiter.loginLimiter, userController.handleOAuthCallback);
 
 // Protected routes (require authentication)
 router.use(authMiddleware);
 
-router.get('/profile', userController.getUserProfile);
-router.put('/profile', userController.updateUserProfile);
-router.post('/change-password', userController.changePassword);
-router.delete('/account', userController.deleteUser);
-router.get('/:id', userController.getUserById);
+router.get('/profile', requireScope('profile:read'), userController.getUserProfile);
+router.put('/profile', requireScope('profile:write'), userController.updateUserProfile);
+router.post('/avatar', requireScope('profile:write'), rateLimiter.uploadLimiter, avatarUpload, userController.uploadAvatar);
+router.delete('/avatar', requireScope('profile:write'), userController.removeAvatar);
+router.put('/privacy', requireScope('profile:write'), userController.updatePrivacySettings);
+
+// Notification preferences
+router.get('/notification-preferences', requireScope('profile:read'), userController.getNotificationPreferences);
+router.put('/notification-preferences', requireScope('profile:write'), userController.updateNotificationPreferences);
+router.put('/notification-preferences/groups/:groupId', requireScope('profile:write'), userController.updateGroupNotificationPreferences);
+router.delete('/notification-preferences/groups/:groupId', requireScope('profile:write'), userController.resetGroupNotificationPreferences);
+
+// Solved history import from coding platforms
+router.post('/import/:platform', requireScope('questions:write'), rateLimiter.uploadLimiter, exportUpload, userController.importPlatformHistory);
+
+// Account security (login sessions only, not access tokens)
+router.post('/change-password', requireSession, userController.changePassword);
+router.post('/change-email', requireSession, rateLimiter.emailVerificationLimiter, userController.requestEmailChange);
+router.delete('/change-email', requireSession, userController.cancelEmailChange);
+router.delete('/account', requireSession, rateLimiter.strictLimiter, userController.deleteUser);
+router.post('/account/cancel-deletion', requireSession, userController.cancelAccountDeletion);
+router.get('/export', requireSession, rateLimiter.strictLimiter, userController.exportUserData);
+router.get('/security-log', requireSession, userController.getSecurityLog);
+router.put('/security-log/alerts', requireSession, userController.updateSecurityAlerts);
+
+// Session management
+router.post('/logout', requireSession, userController.logoutUser);
+router.get('/sessions', requireSession, userController.getSessions);
+router.delete('/sessions', requireSession, userController.revokeAllSessions);
+router.delete('/sessions/:id', requireSession, userController.revokeSession);
+
+// Personal access tokens
+router.get('/tokens', requireSession, userController.getAccessTokens);
+router.post('/tokens', requireSession, rateLimiter.strictLimiter, userController.createAccessToken);
+router.delete('/tokens/:id', requireSession, userController.revokeAccessToken);
+
+// Two-factor authentication
+router.post('/2fa/setup', requireSession, userController.setupTwoFactor);
+router.post('/2fa/enable', requireSession, userController.enableTwoFactor);
+router.post('/2fa/disable', requireSession, rateLimiter.strictLimiter, userController.disableTwoFactor);
+router.post('/2fa/recovery-codes', requireSession, rateLimiter.strictLimiter, userController.regenerateRecoveryCodes);
+
+// Linked sign-in providers
+router.get('/oauth/:provider/link', requireSession, userController.getOAuthLinkUrl);
+router.post('/oauth/:provider/link/callback', requireSession, rateLimiter.loginLimiter, userController.linkOAuthCallback);
+router.delete('/oauth/:provider', requireSession, userController.unlinkOAuthProvider);
+
+router.get('/:id/public-profile', requireScope('profile:read'), userController.getPublicProfile);
+router.get('/:id', requireScope('profile:read'), userController.getUserById);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// One-off: GroupMember.permissions.canInviteMembers used to default to false, which now means
+// an explicit "no". Reset the stored defaults so those members follow the group setting again.
+// Run once when deploying the change, before admins start setting per-member overrides.
+// Usage: npm run migrate-invite-permissions
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const GroupMember = require('../models/GroupMember');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/code-collab-platform');
+  const result = await GroupMember.updateMany(
+    { 'permissions.canInviteMembers': false },
+    { $set: { 'permissions.canInviteMembers': null } }
+  );
+  console.log(`Reset the invite permission of ${result.modifiedCount} member(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('Migrate invite permissions error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
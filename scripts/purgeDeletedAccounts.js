@@ -0,0 +1,18 @@
+// Purge accounts whose deletion grace period has ended.
+// Usage: npm run purge-accounts
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const { processDueDeletions } = require('../services/accountDeletion');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/code-collab-platform');
+  const purged = await processDueDeletions();
+  console.log(`Purged ${purged} account(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('Purge accounts error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,18 @@
+// Recount member and question totals of every group.
+// Usage: npm run rebuild-group-stats
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const { rebuildGroupStatistics } = require('../services/groupStatistics');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/code-collab-platform');
+  const updated = await rebuildGroupStatistics();
+  console.log(`Rebuilt statistics for ${updated} group(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('Rebuild group statistics error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
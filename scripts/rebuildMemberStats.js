@@ -0,0 +1,18 @@
+// Recompute the precomputed member statistics of every group.
+// Usage: npm run rebuild-member-stats
+require('dotenv').config({ path: '../.env' });
+const mongoose = require('mongoose');
+const { rebuildMemberStats } = require('../services/memberStats');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/code-collab-platform');
+  const groups = await rebuildMemberStats();
+  console.log(`Rebuilt member statistics for ${groups} group(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('Rebuild member statistics error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
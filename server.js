@@ -7,6 +7,10 @@ const morgan = require('morgan');
 require('dotenv').config({ path: '../.env'});
 
 const { apiLimiter } = require('./middlewares/rateLimiter');
+const { processDueDeletions } = require('./services/accountDeletion');
+const { sendDeferredEmails } = require('./services/notifier');
+const { reconcilePendingTransfers } = require('./services/groupOwnership');
+const { getStorage } = require('./services/storage');
 
 // Security middleware
 app.use(helmet());
@@ -43,6 +47,16 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Uploaded files, when they are stored on local disk. Images are loaded from the
+// client's origin, so relax helmet's same-origin resource policy for them.
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', (req, res, next) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+  }, express.static(storage.directory, { maxAge: '30d', immutable: true }));
+}
+
 // Rate limiting
 app.use('/api', apiLimiter);
 
@@ -51,6 +65,8 @@ app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/groups', require('./routes/groupRoutes'));
 app.use('/api/questions', require('./routes/questionRoutes'));
 app.use('/api/feedback', require('./routes/feedbackRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -97,6 +113,21 @@ mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/code-collab
 .then(() => console.log('Connected to MongoDB'))
 .catch(err => console.error('MongoDB connection error:', err));
 
+// Purge accounts whose deletion grace period has ended
+setInterval(() => {
+  processDueDeletions().catch(err => console.error('Account deletion job error:', err));
+}, 60 * 60 * 1000);
+
+// Finish group ownership transfers that stopped half way
+setInterval(() => {
+  reconcilePendingTransfers().catch(err => console.error('Ownership transfer job error:', err));
+}, 5 * 60 * 1000);
+
+// Send notification emails held back by quiet hours
+setInterval(() => {
+  sendDeferredEmails().catch(err => console.error('Deferred email job error:', err));
+}, 10 * 60 * 1000);
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const Question = require('../models/Question');
+const Feedback = require('../models/Feedback');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const Notification = require('../models/Notification');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const GroupInvitation = require('../models/GroupInvitation');
+const MemberStats = require('../models/MemberStats');
+const { removeFiles } = require('./uploads');
+const { transferOwnership } = require('./groupOwnership');
+const { recordQuestionsRemoved } = require('./groupStatistics');
+const { refreshMemberStats } = require('./memberStats');
+
+const GRACE_PERIOD_DAYS = 14;
+const DELETION_POLICIES = ['anonymize', 'delete'];
+const DEFAULT_POLICY = DELETION_POLICIES.includes(process.env.ACCOUNT_DELETION_POLICY)
+  ? process.env.ACCOUNT_DELETION_POLICY
+  : 'anonymize';
+
+// Mark an account for deletion once the grace period ends
+const scheduleDeletion = async (user, policy = DEFAULT_POLICY) => {
+  const requestedAt = new Date();
+  user.deletion = {
+    requestedAt,
+    scheduledFor: new Date(requestedAt.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000),
+    policy
+  };
+  await user.save();
+  return user.deletion;
+};
+
+const cancelDeletion = async (user) => {
+  user.deletion = undefined;
+  await user.save();
+};
+
+// Hand owned groups to the longest-serving moderator, or archive them
+const handOverOwnedGroups = async (userId) => {
+  const ownedGroups = await Group.find({ adminId: userId, isActive: true });
+
+  for (const group of ownedGroups) {
+    const successor = await GroupMember.findOne({
+      groupId: group._id,
+      role: 'moderator',
+      status: 'active',
+      userId: { $ne: userId }
+    }).sort({ joinedAt: 1 });
+
+    if (successor) {
+      await transferOwnership({
+        group,
+        fromUserId: userId,
+        toUserId: successor.userId,
+        reason: 'Previous owner deleted their account',
+        automatic: true
+      });
+    } else {
+      group.isActive = false;
+      group.archivedAt = new Date();
+      await group.save();
+    }
+  }
+};
+
+// Remove the user from every group they belong to
+const removeMemberships = async (userId) => {
+  const activeMemberships = await GroupMember.find({ userId, status: 'active' }).select('groupId');
+
+  await Group.updateMany(
+    { _id: { $in: activeMemberships.map(membership => membership.groupId) } },
+    { $inc: { 'statistics.totalMembers': -1 } }
+  );
+  await GroupMember.deleteMany({ userId });
+  await MemberStats.deleteMany({ userId });
+};
+
+// Keep contributions but detach them from the person
+const anonymizeContributions = async (userId) => {
+  await Question.updateMany({ 'likes.userId': userId }, { $pull: { likes: { userId } } });
+  await Feedback.updateMany({ userId }, { $set: { isAnonymous: true } });
+};
+
+// Delete everything the user contributed
+const deleteContributions = async (userId) => {
+  // Stored images of the questions and solutions that are about to go
+  const affectedQuestions = await Question.find({
+    $or: [{ postedBy: userId }, { 'solutions.userId': userId }]
+  }).select('postedBy attachments solutions');
+  const attachmentKeys = affectedQuestions.flatMap(question => {
+    const ownQuestion = question.postedBy.toString() === userId.toString();
+    return [
+      ...(ownQuestion ? question.attachments : []),
+      ...question.solutions
+        .filter(solution => ownQuestion || solution.userId?.toString() === userId.toString())
+        .flatMap(solution => solution.attachments)
+    ].flatMap(attachment => attachment.keys);
+  });
+
+  // Members who responded to those questions lose the responses with them
+  const respondersPerGroup = await Question.aggregate([
+    { $match: { postedBy: userId, status: 'active' } },
+    { $unwind: '$memberResponses' },
+    { $group: { _id: '$groupId', userIds: { $addToSet: '$memberResponses.userId' } } }
+  ]);
+  const removedPerGroup = await Question.aggregate([
+    { $match: { postedBy: userId, status: 'active' } },
+    { $group: { _id: '$groupId', count: { $sum: 1 } } }
+  ]);
+  await Question.deleteMany({ postedBy: userId });
+  for (const { _id: groupId, count } of removedPerGroup) {
+    await recordQuestionsRemoved(groupId, count);
+  }
+  for (const { _id: groupId, userIds } of respondersPerGroup) {
+    await refreshMemberStats(groupId, userIds.filter(responderId => responderId.toString() !== userId.toString()));
+  }
+  await Question.updateMany(
+    {
+      $or: [
+        { 'memberResponses.userId': userId },
+        { 'solutions.userId': userId },
+        { 'likes.userId': userId },
+        { 'difficultyRatings.userId': userId }
+      ]
+    },
+    {
+      $pull: {
+        memberResponses: { userId },
+        solutions: { userId },
+        likes: { userId },
+        difficultyRatings: { userId }
+      }
+    }
+  );
+
+  await Feedback.deleteMany({ userId });
+  await Feedback.updateMany(
+    {
+      $or: [
+        { 'helpfulVotes.upvotes.user': userId },
+        { 'helpfulVotes.downvotes.user': userId },
+        { 'reportedBy.user': userId }
+      ]
+    },
+    {
+      $pull: {
+        'helpfulVotes.upvotes': { user: userId },
+        'helpfulVotes.downvotes': { user: userId },
+        reportedBy: { user: userId }
+      }
+    }
+  );
+
+  await removeFiles(attachmentKeys);
+};
+
+// Replace the user document with a tombstone so remaining references still resolve
+const anonymizeUser = async (userId) => {
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  // updateOne skips the email validator, which rejects the reserved .invalid domain
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      name: 'Deleted user',
+      email: `deleted-${userId}@deleted.invalid`,
+      password,
+      hasPassword: false,
+      avatar: '',
+      isActive: false,
+      isEmailVerified: false,
+      deletedAt: new Date()
+    },
+    $unset: {
+      profile: 1,
+      avatarImage: 1,
+      oauthAccounts: 1,
+      twoFactor: 1,
+      deletion: 1,
+      lastLogin: 1,
+      emailVerificationToken: 1,
+      emailVerificationExpires: 1,
+      passwordResetToken: 1,
+      passwordResetExpires: 1,
+      passwordHistory: 1,
+      emailChange: 1,
+      emailChangeUndo: 1
+    }
+  });
+};
+
+// Run the full cleanup for one account according to its policy
+const purgeAccount = async (user) => {
+  const userId = user._id;
+  const policy = user.deletion?.policy || DEFAULT_POLICY;
+
+  await handOverOwnedGroups(userId);
+  await removeMemberships(userId);
+  await Session.deleteMany({ userId });
+  await SecurityEvent.deleteMany({ userId });
+  await PersonalAccessToken.deleteMany({ userId });
+  await Notification.deleteMany({ userId });
+  await GroupInvitation.deleteMany({ email: user.email });
+  await removeFiles(user.avatarImage?.keys);
+
+  if (policy === 'delete') {
+    await deleteContributions(userId);
+    await User.deleteOne({ _id: userId });
+  } else {
+    await anonymizeContributions(userId);
+    await anonymizeUser(userId);
+  }
+};
+
+// Purge every account whose grace period has ended
+const processDueDeletions = async () => {
+  const dueUsers = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    deletedAt: null
+  });
+
+  let purged = 0;
+  for (const user of dueUsers) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      console.error(`Account deletion failed for user ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  DELETION_POLICIES,
+  DEFAULT_POLICY,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  processDueDeletions
+};
@@ -0,0 +1,209 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const GroupMember = require('../models/GroupMember');
+const Question = require('../models/Question');
+const Feedback = require('../models/Feedback');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Notification = require('../models/Notification');
+const { toCsv } = require('../utils/csv');
+
+const idOf = (value) => value?._id?.toString() || value?.toString();
+const isUser = (userId) => (value) => idOf(value) === userId;
+
+// Gather everything the platform stores about a user.
+// Only the user's own entries are taken from shared documents such as questions.
+const collectUserData = async (userId) => {
+  const ownedByUser = isUser(userId.toString());
+
+  const profile = await User.findById(userId)
+    .select('-password -emailVerificationToken -passwordResetToken -emailVerificationExpires -passwordResetExpires')
+    .lean();
+
+  const memberships = await GroupMember.find({ userId })
+    .populate('groupId', 'name')
+    .lean();
+
+  const sessions = await Session.find({ userId })
+    .select('userAgent ipAddress lastUsedAt createdAt expiresAt revokedAt')
+    .lean();
+
+  const securityEvents = await SecurityEvent.find({ userId })
+    .select('type ipAddress userAgent details createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // Token hashes stay out; the prefix is enough to tell tokens apart
+  const accessTokens = await PersonalAccessToken.find({ userId })
+    .select('name tokenPrefix scopes expiresAt lastUsedAt lastUsedIp revokedAt createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const notifications = await Notification.find({ userId })
+    .select('type groupId actorId title message link readAt createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const questionsPosted = await Question.find({ postedBy: userId })
+    .select('title description sourceUrl platform difficulty category tags groupId status views createdAt updatedAt')
+    .lean();
+
+  const touchedQuestions = await Question.find({
+    $or: [
+      { 'memberResponses.userId': userId },
+      { 'solutions.userId': userId },
+      { 'difficultyRatings.userId': userId },
+      { 'likes.userId': userId }
+    ]
+  })
+    .select('title groupId memberResponses solutions difficultyRatings likes')
+    .lean();
+
+  const memberResponses = [];
+  const solutions = [];
+  const difficultyRatings = [];
+  const likes = [];
+
+  for (const question of touchedQuestions) {
+    const questionInfo = { questionId: question._id, questionTitle: question.title, groupId: question.groupId };
+
+    question.memberResponses.filter(entry => ownedByUser(entry.userId)).forEach(entry => memberResponses.push({
+      ...questionInfo,
+      status: entry.status,
+      difficultyRating: entry.difficultyRating,
+      timeToSolve: entry.timeToSolve,
+      notes: entry.notes,
+      submittedAt: entry.submittedAt
+    }));
+
+    question.solutions.filter(entry => ownedByUser(entry.userId)).forEach(entry => solutions.push({
+      ...questionInfo,
+      language: entry.language,
+      code: entry.code,
+      explanation: entry.explanation,
+      timeComplexity: entry.timeComplexity,
+      spaceComplexity: entry.spaceComplexity,
+      createdAt: entry.createdAt
+    }));
+
+    question.difficultyRatings.filter(entry => ownedByUser(entry.userId)).forEach(entry => difficultyRatings.push({
+      ...questionInfo,
+      rating: entry.rating,
+      createdAt: entry.createdAt
+    }));
+
+    question.likes.filter(entry => ownedByUser(entry.userId)).forEach(entry => likes.push({
+      ...questionInfo,
+      createdAt: entry.createdAt
+    }));
+  }
+
+  // Feedback written by the user, with the votes and reports it received.
+  // Other users' identities are left out.
+  const ownFeedback = await Feedback.find({ userId }).lean();
+  const feedback = ownFeedback.map(entry => ({
+    feedbackId: entry._id,
+    questionId: entry.questionId,
+    type: entry.type,
+    votedDifficulty: entry.votedDifficulty,
+    rating: entry.rating,
+    comment: entry.comment,
+    tags: entry.tags,
+    isAnonymous: entry.isAnonymous,
+    status: entry.status,
+    upvotes: entry.helpfulVotes?.upvotes?.length || 0,
+    downvotes: entry.helpfulVotes?.downvotes?.length || 0,
+    reports: (entry.reportedBy || []).map(report => ({
+      reason: report.reason,
+      reportedAt: report.reportedAt
+    })),
+    createdAt: entry.createdAt,
+    lastModified: entry.lastModified
+  }));
+
+  // Votes and reports the user cast on other people's feedback
+  const interactedFeedback = await Feedback.find({
+    $or: [
+      { 'helpfulVotes.upvotes.user': userId },
+      { 'helpfulVotes.downvotes.user': userId },
+      { 'reportedBy.user': userId }
+    ]
+  })
+    .select('questionId helpfulVotes reportedBy')
+    .lean();
+
+  const feedbackVotes = [];
+  const feedbackReports = [];
+  for (const entry of interactedFeedback) {
+    (entry.helpfulVotes?.upvotes || []).filter(vote => ownedByUser(vote.user)).forEach(vote => feedbackVotes.push({
+      feedbackId: entry._id, questionId: entry.questionId, vote: 'upvote', votedAt: vote.votedAt
+    }));
+    (entry.helpfulVotes?.downvotes || []).filter(vote => ownedByUser(vote.user)).forEach(vote => feedbackVotes.push({
+      feedbackId: entry._id, questionId: entry.questionId, vote: 'downvote', votedAt: vote.votedAt
+    }));
+    (entry.reportedBy || []).filter(report => ownedByUser(report.user)).forEach(report => feedbackReports.push({
+      feedbackId: entry._id,
+      questionId: entry.questionId,
+      reason: report.reason,
+      description: report.description,
+      reportedAt: report.reportedAt
+    }));
+  }
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    groupMemberships: memberships.map(membership => ({
+      groupId: idOf(membership.groupId),
+      groupName: membership.groupId?.name,
+      role: membership.role,
+      status: membership.status,
+      joinedAt: membership.joinedAt,
+      lastActive: membership.lastActive,
+      permissions: membership.permissions
+    })),
+    sessions,
+    securityEvents,
+    accessTokens,
+    notifications,
+    questionsPosted,
+    memberResponses,
+    solutions,
+    difficultyRatings,
+    likes,
+    feedback,
+    feedbackVotes,
+    feedbackReports
+  };
+};
+
+// Stream a zip with data.json plus one CSV per section into the given writable stream
+const writeExportArchive = async (userId, output) => {
+  const data = await collectUserData(userId);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+  archive.append(toCsv(data.groupMemberships, ['groupId', 'groupName', 'role', 'status', 'joinedAt', 'lastActive']), { name: 'group-memberships.csv' });
+  archive.append(toCsv(data.sessions, ['_id', 'userAgent', 'ipAddress', 'createdAt', 'lastUsedAt', 'expiresAt', 'revokedAt']), { name: 'sessions.csv' });
+  archive.append(toCsv(data.securityEvents, ['_id', 'type', 'ipAddress', 'userAgent', 'createdAt']), { name: 'security-events.csv' });
+  archive.append(toCsv(data.accessTokens, ['_id', 'name', 'tokenPrefix', 'scopes', 'expiresAt', 'lastUsedAt', 'lastUsedIp', 'revokedAt', 'createdAt']), { name: 'access-tokens.csv' });
+  archive.append(toCsv(data.notifications, ['_id', 'type', 'groupId', 'actorId', 'title', 'message', 'link', 'readAt', 'createdAt']), { name: 'notifications.csv' });
+  archive.append(toCsv(data.questionsPosted, ['_id', 'title', 'sourceUrl', 'platform', 'difficulty', 'category', 'tags', 'groupId', 'status', 'views', 'createdAt']), { name: 'questions-posted.csv' });
+  archive.append(toCsv(data.memberResponses, ['questionId', 'questionTitle', 'groupId', 'status', 'difficultyRating', 'timeToSolve', 'notes', 'submittedAt']), { name: 'member-responses.csv' });
+  archive.append(toCsv(data.solutions, ['questionId', 'questionTitle', 'groupId', 'language', 'code', 'explanation', 'timeComplexity', 'spaceComplexity', 'createdAt']), { name: 'solutions.csv' });
+  archive.append(toCsv(data.difficultyRatings, ['questionId', 'questionTitle', 'groupId', 'rating', 'createdAt']), { name: 'difficulty-ratings.csv' });
+  archive.append(toCsv(data.likes, ['questionId', 'questionTitle', 'groupId', 'createdAt']), { name: 'likes.csv' });
+  archive.append(toCsv(data.feedback.map(entry => ({ ...entry, reports: entry.reports.length })), ['feedbackId', 'questionId', 'type', 'votedDifficulty', 'rating', 'comment', 'tags', 'isAnonymous', 'status', 'upvotes', 'downvotes', 'reports', 'createdAt']), { name: 'feedback.csv' });
+  archive.append(toCsv(data.feedbackVotes, ['feedbackId', 'questionId', 'vote', 'votedAt']), { name: 'feedback-votes.csv' });
+  archive.append(toCsv(data.feedbackReports, ['feedbackId', 'questionId', 'reason', 'description', 'reportedAt']), { name: 'feedback-reports.csv' });
+
+  await archive.finalize();
+};
+
+module.exports = {
+  collectUserData,
+  writeExportArchive
+};
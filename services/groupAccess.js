@@ -0,0 +1,162 @@
+const User = require('../models/User');
+const GroupMember = require('../models/GroupMember');
+
+const STAFF_ROLES = ['admin', 'moderator'];
+const ROLE_RANKS = { member: 0, moderator: 1, admin: 2 };
+
+// Staff can only act on people below them: admins on moderators and members,
+// moderators on members. Non-members count as members.
+const outranks = (actorRole, targetRole = 'member') => ROLE_RANKS[actorRole] > ROLE_RANKS[targetRole];
+
+// Bans without bannedUntil are permanent; timed bans stop applying once it has passed
+const isBanActive = (membership) =>
+  membership?.status === 'banned' && (!membership.bannedUntil || membership.bannedUntil > new Date());
+
+const banDenial = (membership) => ({
+  status: 403,
+  body: {
+    message: 'You are banned from this group',
+    code: 'GROUP_BANNED',
+    bannedUntil: membership.bannedUntil || null
+  }
+});
+
+// Access to a group's content for reading: banned users never get it, and private groups
+// need an active membership. Returns { membership, denial }; membership is the caller's
+// active membership or null.
+const checkGroupReadAccess = async (group, userId, privateMessage = 'Access denied to private group') => {
+  const existing = await GroupMember.findOne({ userId, groupId: group._id });
+  if (isBanActive(existing)) {
+    return { membership: null, denial: banDenial(existing) };
+  }
+
+  const membership = existing?.status === 'active' ? existing : null;
+  if (!membership && group.isPrivate) {
+    return { membership, denial: { status: 403, body: { message: privateMessage } } };
+  }
+
+  return { membership, denial: null };
+};
+
+// Groups can require admins and moderators to have two-factor enabled before
+// they use staff powers. Returns a denial ({ status, body }) or null.
+const checkStaffTwoFactor = async (group, membership) => {
+  if (!group.settings?.requireStaffTwoFactor || !membership || !STAFF_ROLES.includes(membership.role)) {
+    return null;
+  }
+
+  const user = await User.findById(membership.userId).select('twoFactor.enabled');
+  if (user?.twoFactor?.enabled) {
+    return null;
+  }
+
+  return {
+    status: 403,
+    body: {
+      message: 'This group requires admins and moderators to enable two-factor authentication',
+      code: 'TWO_FACTOR_REQUIRED'
+    }
+  };
+};
+
+// Load the user's active membership and require a staff role, plus two-factor when the
+// group asks for it. Returns { membership, denial }; denial is null when access is granted.
+const checkStaffAccess = async (group, userId, message = 'Only admins and moderators can do this') => {
+  const membership = await GroupMember.findOne({ userId, groupId: group._id, status: 'active' });
+  if (!membership || !STAFF_ROLES.includes(membership.role)) {
+    return { membership, denial: { status: 403, body: { message } } };
+  }
+
+  const denial = await checkStaffTwoFactor(group, membership);
+  return { membership, denial };
+};
+
+const PERMISSION_DENIALS = {
+  canPostQuestions: 'You do not have permission to post questions in this group',
+  canComment: 'You do not have permission to post solutions in this group',
+  canInviteMembers: 'You do not have permission to invite members to this group'
+};
+
+// Check one of the GroupMember.permissions flags for an active membership. Staff always
+// pass. Question posting can also be switched off group-wide, while a member's own invite
+// flag overrides the group setting either way and only an unset flag follows it.
+// Returns a denial ({ status, body }) or null.
+const checkMemberPermission = (group, membership, permission) => {
+  if (STAFF_ROLES.includes(membership.role)) {
+    return null;
+  }
+
+  const flag = membership.permissions?.[permission];
+  let allowed;
+  if (permission === 'canPostQuestions') {
+    allowed = flag !== false && group.settings?.allowQuestionPosting !== false;
+  } else if (permission === 'canInviteMembers') {
+    allowed = typeof flag === 'boolean' ? flag : group.settings?.allowMemberInvites === true;
+  } else {
+    allowed = flag !== false;
+  }
+
+  if (allowed) {
+    return null;
+  }
+
+  return {
+    status: 403,
+    body: { message: PERMISSION_DENIALS[permission], code: 'PERMISSION_DENIED' }
+  };
+};
+
+// Mutes are always timed and simply stop applying once mutedUntil has passed
+const isMuteActive = (membership) => Boolean(membership?.mutedUntil && membership.mutedUntil > new Date());
+
+// Minutes, rounded up, so a mute never shows as 0 minutes while it still applies
+const formatRemaining = (until) => {
+  const minutes = Math.ceil((until - Date.now()) / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.ceil(hours / 24)} days`;
+};
+
+// Write access for content (questions, solutions, responses, feedback, comments).
+// Staff are never muted. Returns a denial ({ status, body }) or null.
+const checkMute = (group, membership) => {
+  if (STAFF_ROLES.includes(membership.role)) {
+    return null;
+  }
+
+  if (group.settings?.muteMembers) {
+    return {
+      status: 403,
+      body: { message: 'This group is in read-only mode', code: 'GROUP_READ_ONLY' }
+    };
+  }
+
+  if (isMuteActive(membership)) {
+    return {
+      status: 403,
+      body: {
+        message: `You are muted in this group for another ${formatRemaining(membership.mutedUntil)}`,
+        code: 'MEMBER_MUTED',
+        mutedUntil: membership.mutedUntil,
+        remainingSeconds: Math.ceil((membership.mutedUntil - Date.now()) / 1000),
+        reason: membership.muteReason || null
+      }
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  STAFF_ROLES,
+  outranks,
+  isBanActive,
+  banDenial,
+  checkGroupReadAccess,
+  isMuteActive,
+  checkMute,
+  checkStaffTwoFactor,
+  checkStaffAccess,
+  checkMemberPermission
+};
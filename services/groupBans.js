@@ -0,0 +1,70 @@
+const GroupMember = require('../models/GroupMember');
+const GroupAuditLog = require('../models/GroupAuditLog');
+const { decrementMemberCount } = require('./groupMembership');
+const { clearModerator } = require('./groupRoles');
+
+const MAX_BAN_HOURS = 365 * 24;
+
+// Ban a user from the group, with or without a membership. `durationHours` makes the ban
+// timed; without it the ban is permanent. Resolves to the banned membership.
+const banMember = async ({ group, userId, membership, actorId, reason, durationHours }) => {
+  const target = membership || new GroupMember({ userId, groupId: group._id, role: 'member' });
+  const wasActive = target.status === 'active';
+
+  clearModerator(target);
+  target.status = 'banned';
+  target.banReason = reason;
+  target.bannedAt = new Date();
+  target.bannedBy = actorId;
+  target.bannedUntil = durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : undefined;
+  target.banAppeal = undefined;
+  await target.save();
+
+  if (wasActive) {
+    await decrementMemberCount(group._id);
+  }
+
+  await GroupAuditLog.create({
+    groupId: group._id,
+    actorId,
+    action: 'member_banned',
+    targetUserId: target.userId,
+    reason,
+    details: { bannedUntil: target.bannedUntil || null, wasMember: wasActive }
+  });
+
+  return target;
+};
+
+// Lift a ban. The user is left outside the group and can join again.
+const unbanMember = async ({ group, membership, actorId, reason }) => {
+  const previousBan = {
+    banReason: membership.banReason,
+    bannedAt: membership.bannedAt,
+    bannedUntil: membership.bannedUntil || null,
+    appealed: Boolean(membership.banAppeal?.submittedAt)
+  };
+
+  membership.status = 'left';
+  membership.banReason = undefined;
+  membership.bannedAt = undefined;
+  membership.bannedBy = undefined;
+  membership.bannedUntil = undefined;
+  membership.banAppeal = undefined;
+  await membership.save();
+
+  await GroupAuditLog.create({
+    groupId: group._id,
+    actorId,
+    action: 'member_unbanned',
+    targetUserId: membership.userId,
+    reason,
+    details: previousBan
+  });
+};
+
+module.exports = {
+  MAX_BAN_HOURS,
+  banMember,
+  unbanMember
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const { isBanActive } = require('./groupAccess');
+
+const DISCOVER_SORTS = {
+  members: { 'statistics.totalMembers': -1, _id: 1 },
+  activity: { 'statistics.lastActivity': -1, _id: 1 },
+  questions: { 'statistics.totalQuestions': -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  relevance: { score: -1, 'statistics.totalMembers': -1, _id: 1 }
+};
+const MAX_TAG_FACETS = 20;
+
+// The viewer's relationship with a listed group, as shown on the directory card
+const viewerStatus = (membership) => {
+  if (!membership) return null;
+  if (membership.status === 'active') return 'member';
+  if (membership.status === 'pending') return 'pending';
+  if (isBanActive(membership)) return 'banned';
+  return null;
+};
+
+// Browse public groups. Facet counts for each filter are computed with the other filters
+// applied but not their own, so picking a category still shows the counts of its siblings.
+// Resolves to { groups, total, facets }.
+const discoverGroups = async ({ viewerId, q, category, tags = [], sort, skip, limit }) => {
+  const baseMatch = { isActive: true, isPrivate: false };
+  if (q) {
+    baseMatch.$text = { $search: q };
+  }
+  const categoryMatch = category ? { category } : {};
+  const tagsMatch = tags.length > 0 ? { tags: { $all: tags } } : {};
+
+  const [result] = await Group.aggregate([
+    { $match: baseMatch },
+    ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    {
+      $facet: {
+        groups: [
+          { $match: { ...categoryMatch, ...tagsMatch } },
+          { $sort: DISCOVER_SORTS[sort] },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: GroupMember.collection.name,
+              let: { groupId: '$_id' },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: {
+                      $and: [
+                        { $eq: ['$groupId', '$$groupId'] },
+                        { $eq: ['$userId', new mongoose.Types.ObjectId(viewerId)] }
+                      ]
+                    }
+                  }
+                },
+                { $project: { status: 1, bannedUntil: 1 } }
+              ],
+              as: 'viewerMembership'
+            }
+          },
+          {
+            $project: {
+              name: 1,
+              description: 1,
+              avatar: 1,
+              avatarImage: { small: 1, medium: 1, large: 1 },
+              category: 1,
+              tags: 1,
+              maxMembers: 1,
+              statistics: 1,
+              createdAt: 1,
+              'settings.requireAdminApproval': 1,
+              viewerMembership: { $first: '$viewerMembership' }
+            }
+          }
+        ],
+        total: [
+          { $match: { ...categoryMatch, ...tagsMatch } },
+          { $count: 'count' }
+        ],
+        categories: [
+          { $match: tagsMatch },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        tags: [
+          { $match: categoryMatch },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    groups: result.groups.map(({ viewerMembership, settings, ...group }) => ({
+      ...group,
+      requiresApproval: Boolean(settings?.requireAdminApproval),
+      isFull: group.statistics.totalMembers >= group.maxMembers,
+      viewerStatus: viewerStatus(viewerMembership)
+    })),
+    total: result.total[0]?.count || 0,
+    facets: {
+      categories: result.categories.map(entry => ({ category: entry._id, count: entry.count })),
+      tags: result.tags.map(entry => ({ tag: entry._id, count: entry.count }))
+    }
+  };
+};
+
+module.exports = {
+  DISCOVER_SORTS,
+  discoverGroups
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const GroupMember = require('../models/GroupMember');
+const GroupInvitation = require('../models/GroupInvitation');
+const mailer = require('./mailer');
+const { hashToken } = require('../utils/tokens');
+const { parseCsv } = require('../utils/csv');
+const { checkCapacity, admitMember } = require('./groupMembership');
+const { notify } = require('./notifier');
+const { isBanActive } = require('./groupAccess');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.GROUP_INVITATION_TTL_DAYS) || 7;
+const MAX_INVITATIONS_PER_REQUEST = 200;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const UNAVAILABLE_MESSAGES = {
+  expired: 'This invitation has expired',
+  accepted: 'This invitation has already been accepted',
+  cancelled: 'This invitation was cancelled'
+};
+
+// Errors carry the HTTP status the controller should answer with
+const invitationError = (message, status) => {
+  const error = new Error(message);
+  error.code = 'INVITATION_ERROR';
+  error.status = status;
+  return error;
+};
+
+// Issue a fresh token and expiry, then email it. Links from earlier emails stop working.
+// Resolves to false when the email could not be sent; the invitation is saved either way.
+const sendInvitation = async (invitation, { group, inviter }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  try {
+    await mailer.sendGroupInvitation(invitation, { group, inviter, token });
+    return true;
+  } catch (mailError) {
+    console.error('Send group invitation error:', mailError);
+    return false;
+  }
+};
+
+// Invite a list of addresses. Members, banned users and addresses with an open invitation
+// are skipped; an expired invitation to the same address is sent again.
+// Returns { invited, skipped } with one entry per address.
+const createInvitations = async ({ group, inviter, emails, message }) => {
+  const invited = [];
+  const skipped = [];
+
+  const candidates = [];
+  for (const value of emails) {
+    const email = String(value ?? '').trim().toLowerCase();
+    if (!email || candidates.includes(email)) continue;
+    if (!EMAIL_REGEX.test(email)) {
+      skipped.push({ email, reason: 'invalid_email' });
+      continue;
+    }
+    candidates.push(email);
+  }
+
+  if (candidates.length > MAX_INVITATIONS_PER_REQUEST) {
+    throw invitationError(`You can invite at most ${MAX_INVITATIONS_PER_REQUEST} addresses at once`, 400);
+  }
+
+  const users = await User.find({ email: { $in: candidates } }).select('email');
+  const memberships = await GroupMember.find({
+    groupId: group._id,
+    userId: { $in: users.map(user => user._id) },
+    status: { $in: ['active', 'banned'] }
+  }).select('userId status bannedUntil');
+  const membershipByEmail = new Map(users.map(user => [
+    user.email,
+    memberships.find(membership => membership.userId.equals(user._id))
+  ]));
+
+  const pendingInvitations = await GroupInvitation.find({ groupId: group._id, email: { $in: candidates }, status: 'pending' });
+
+  for (const email of candidates) {
+    const membership = membershipByEmail.get(email);
+    if (membership?.status === 'active') {
+      skipped.push({ email, reason: 'already_member' });
+      continue;
+    }
+    if (isBanActive(membership)) {
+      skipped.push({ email, reason: 'banned' });
+      continue;
+    }
+
+    let invitation = pendingInvitations.find(pending => pending.email === email);
+    if (invitation?.state === 'pending') {
+      skipped.push({ email, reason: 'already_invited' });
+      continue;
+    }
+
+    invitation = invitation || new GroupInvitation({ groupId: group._id, email });
+    invitation.invitedBy = inviter._id;
+    invitation.message = message;
+
+    try {
+      const emailSent = await sendInvitation(invitation, { group, inviter });
+      invited.push({ _id: invitation._id, email, expiresAt: invitation.expiresAt, emailSent });
+    } catch (error) {
+      // Another request invited the same address in the meantime
+      if (error.code === 11000) {
+        skipped.push({ email, reason: 'already_invited' });
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  return { invited, skipped };
+};
+
+// Read addresses from the "email" column of an uploaded CSV file
+const readInvitationCsv = (file) => {
+  const rows = parseCsv(file.buffer.toString('utf8'));
+  const column = rows.length > 0 && Object.keys(rows[0]).find(header => /^e-?mail$/i.test(header));
+  if (!column) {
+    throw invitationError('The CSV file needs an "email" column with at least one row', 400);
+  }
+  return rows.map(row => row[column]);
+};
+
+// Look up an invitation by the token from the email, or null
+const findInvitationByToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  return GroupInvitation.findOne({ tokenHash: hashToken(token) });
+};
+
+// Put the user in the invitation's group and let the inviter know. Invitations skip admin
+// approval because a staff member sent them. Resolves to { group, membership }.
+const acceptInvitation = async (invitation, userId) => {
+  if (invitation.state !== 'pending') {
+    throw invitationError(UNAVAILABLE_MESSAGES[invitation.state], 410);
+  }
+
+  const group = await Group.findById(invitation.groupId);
+  if (!group || !group.isActive) {
+    throw invitationError('This group no longer exists', 410);
+  }
+
+  const existingMembership = await GroupMember.findOne({ userId, groupId: group._id });
+  if (isBanActive(existingMembership)) {
+    throw invitationError('You are banned from this group', 403);
+  }
+
+  const alreadyMember = existingMembership?.status === 'active';
+  if (!alreadyMember) {
+    const capacityDenial = await checkCapacity(group);
+    if (capacityDenial) {
+      throw invitationError(capacityDenial.body.message, capacityDenial.status);
+    }
+  }
+
+  // Claim the invitation first so the same token cannot be used twice
+  const now = new Date();
+  const claimed = await GroupInvitation.updateOne(
+    { _id: invitation._id, status: 'pending', expiresAt: { $gt: now } },
+    { $set: { status: 'accepted', acceptedAt: now, acceptedBy: userId } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw invitationError('This invitation is no longer available', 410);
+  }
+
+  const membership = alreadyMember
+    ? existingMembership
+    : await admitMember(group, userId, { membership: existingMembership, invitedBy: invitation.invitedBy });
+
+  const user = await User.findById(userId).select('name');
+  await notify([invitation.invitedBy], {
+    type: 'group_invitation_accepted',
+    event: 'membershipChange',
+    groupId: group._id,
+    actorId: userId,
+    title: `${user.name} joined ${group.name}`,
+    message: `${user.name} accepted your invitation to ${group.name}.`,
+    link: `/groups/${group._id}`,
+    data: { invitationId: invitation._id }
+  });
+
+  return { group, membership };
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  MAX_INVITATIONS_PER_REQUEST,
+  sendInvitation,
+  createInvitations,
+  readInvitationCsv,
+  findInvitationByToken,
+  acceptInvitation
+};
@@ -0,0 +1,213 @@
+const Question = require('../models/Question');
+const GroupMember = require('../models/GroupMember');
+
+const LEADERBOARD_WINDOWS = ['weekly', 'monthly', 'all-time'];
+const SCORING_FIELDS = {
+  'difficultyPoints.Easy': { min: 0, max: 100 },
+  'difficultyPoints.Medium': { min: 0, max: 100 },
+  'difficultyPoints.Hard': { min: 0, max: 100 },
+  speedBonus: { min: 0, max: 100 },
+  speedBonusMinutes: { min: 1, max: 24 * 60 },
+  solutionBonus: { min: 0, max: 100 }
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weeks start on Monday, 00:00 UTC
+const startOfWeek = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+// The period a window covers and the one it is compared with for rank movement.
+// All-time standings are compared with the all-time standings at the start of this week.
+const getPeriods = (window, now = new Date()) => {
+  if (window === 'monthly') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return {
+      current: { start, end: now },
+      previous: { start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)), end: start }
+    };
+  }
+
+  const weekStart = startOfWeek(now);
+  if (window === 'weekly') {
+    return {
+      current: { start: weekStart, end: now },
+      previous: { start: new Date(weekStart.getTime() - 7 * DAY_MS), end: weekStart }
+    };
+  }
+
+  return {
+    current: { start: null, end: now },
+    previous: { start: null, end: weekStart }
+  };
+};
+
+const inPeriod = (field, { start, end }) => ({
+  $and: [...(start ? [{ $gte: [field, start] }] : []), { $lt: [field, end] }]
+});
+
+// Score every member with activity in the period. Each question counts once per member:
+// its difficulty points when solved, the speed bonus when that solve was fast enough, and
+// the solution bonus when they shared at least one solution on it.
+// Resolves to a Map of userId string => { score, solved, fastSolves, solutionsShared }.
+const computeScores = async (groupId, scoring, period) => {
+  const points = scoring.difficultyPoints;
+  const results = await Question.aggregate([
+    { $match: { groupId, status: 'active' } },
+    {
+      $project: {
+        difficulty: 1,
+        events: {
+          $concatArrays: [
+            {
+              $map: {
+                input: {
+                  $filter: {
+                    input: '$memberResponses',
+                    // Responses saved before solvedAt existed fall back to their submission date
+                    cond: {
+                      $and: [
+                        { $eq: ['$$this.status', 'solved'] },
+                        inPeriod({ $ifNull: ['$$this.solvedAt', '$$this.submittedAt'] }, period)
+                      ]
+                    }
+                  }
+                },
+                in: {
+                  userId: '$$this.userId',
+                  solved: 1,
+                  fast: {
+                    $cond: [{ $lte: [{ $ifNull: ['$$this.timeToSolve', Infinity] }, scoring.speedBonusMinutes] }, 1, 0]
+                  },
+                  shared: 0
+                }
+              }
+            },
+            {
+              $map: {
+                input: { $filter: { input: '$solutions', cond: inPeriod('$$this.createdAt', period) } },
+                in: { userId: '$$this.userId', solved: 0, fast: 0, shared: 1 }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$events' },
+    {
+      $group: {
+        _id: { userId: '$events.userId', questionId: '$_id' },
+        difficulty: { $first: '$difficulty' },
+        solved: { $max: '$events.solved' },
+        fast: { $max: '$events.fast' },
+        shared: { $max: '$events.shared' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.userId',
+        score: {
+          $sum: {
+            $add: [
+              {
+                $multiply: ['$solved', {
+                  $switch: {
+                    branches: [
+                      { case: { $eq: ['$difficulty', 'Easy'] }, then: points.Easy },
+                      { case: { $eq: ['$difficulty', 'Hard'] }, then: points.Hard }
+                    ],
+                    default: points.Medium
+                  }
+                }]
+              },
+              { $multiply: ['$fast', scoring.speedBonus] },
+              { $multiply: ['$shared', scoring.solutionBonus] }
+            ]
+          }
+        },
+        solved: { $sum: '$solved' },
+        fastSolves: { $sum: '$fast' },
+        solutionsShared: { $sum: '$shared' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, ...stats }) => [_id.toString(), stats]));
+};
+
+// Competition ranking ("1224"): members with equal scores share a rank and the next rank
+// skips the tied places. Sorts entries in place by score, then solves, then join date.
+const assignRanks = (entries) => {
+  entries.sort((a, b) => b.score - a.score || b.solved - a.solved || a.joinedAt - b.joinedAt);
+
+  entries.forEach((entry, index) => {
+    const previous = entries[index - 1];
+    entry.rank = previous && previous.score === entry.score ? previous.rank : index + 1;
+  });
+  entries.forEach((entry, index) => {
+    entry.tied = entries[index - 1]?.rank === entry.rank || entries[index + 1]?.rank === entry.rank;
+  });
+
+  return entries;
+};
+
+// Rank the group's active members for a window. Members who joined after the previous
+// period ended have no previous rank, so their movement is null.
+// Resolves to { period, previousPeriod, entries } with every active member ranked.
+const buildLeaderboard = async (group, window) => {
+  const scoring = group.leaderboard;
+  const { current, previous } = getPeriods(window);
+
+  const [members, currentScores, previousScores] = await Promise.all([
+    GroupMember.find({ groupId: group._id, status: 'active' })
+      .select('userId role joinedAt')
+      .populate('userId', 'name avatar'),
+    computeScores(group._id, scoring, current),
+    computeScores(group._id, scoring, previous)
+  ]);
+  // Accounts removed since they joined have nothing left to show
+  const listed = members.filter(member => member.userId);
+
+  const standings = (scores) => assignRanks(listed.map(member => ({
+    member,
+    joinedAt: member.joinedAt,
+    score: 0,
+    solved: 0,
+    fastSolves: 0,
+    solutionsShared: 0,
+    ...scores.get(member.userId._id.toString())
+  })));
+
+  const previousRanks = new Map(
+    standings(previousScores)
+      .filter(entry => entry.joinedAt < previous.end)
+      .map(entry => [entry.member.userId._id.toString(), entry.rank])
+  );
+
+  const entries = standings(currentScores).map(({ member, rank, tied, score, solved, fastSolves, solutionsShared }) => {
+    const previousRank = previousRanks.get(member.userId._id.toString()) ?? null;
+    return {
+      rank,
+      tied,
+      previousRank,
+      // Positive when the member moved up
+      movement: previousRank === null ? null : previousRank - rank,
+      user: member.userId,
+      role: member.role,
+      score,
+      solved,
+      fastSolves,
+      solutionsShared
+    };
+  });
+
+  return { period: current, previousPeriod: previous, entries };
+};
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  SCORING_FIELDS,
+  getPeriods,
+  buildLeaderboard
+};
@@ -0,0 +1,55 @@
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+
+// Check the group still has room for one more active member.
+// Returns a denial ({ status, body }) or null.
+const checkCapacity = async (group) => {
+  const activeMembers = await GroupMember.countDocuments({ groupId: group._id, status: 'active' });
+  if (activeMembers < group.maxMembers) {
+    return null;
+  }
+
+  return {
+    status: 400,
+    body: { message: 'This group has reached its member limit', code: 'GROUP_FULL' }
+  };
+};
+
+// Make a user an active member, reusing their existing membership document if
+// there is one, and keep the group's member count in step
+const admitMember = async (group, userId, { membership, role = 'member', invitedBy, inviteLinkId } = {}) => {
+  const target = membership || new GroupMember({ userId, groupId: group._id });
+
+  target.status = 'active';
+  target.role = role;
+  target.joinedAt = new Date();
+  target.lastActive = new Date();
+  if (invitedBy) target.invitedBy = invitedBy;
+  // Someone coming back after a timed ban starts with a clean record; the audit log keeps the history
+  target.banReason = undefined;
+  target.bannedAt = undefined;
+  target.bannedBy = undefined;
+  target.bannedUntil = undefined;
+  target.banAppeal = undefined;
+  target.inviteLinkId = inviteLinkId;
+  await target.save();
+
+  await Group.updateOne(
+    { _id: group._id },
+    { $inc: { 'statistics.totalMembers': 1 }, $set: { 'statistics.lastActivity': new Date() } }
+  );
+
+  return target;
+};
+
+// Call after an active membership ends (leave, removal, ban)
+const decrementMemberCount = (groupId) => Group.updateOne(
+  { _id: groupId, 'statistics.totalMembers': { $gt: 0 } },
+  { $inc: { 'statistics.totalMembers': -1 } }
+);
+
+module.exports = {
+  checkCapacity,
+  admitMember,
+  decrementMemberCount
+};
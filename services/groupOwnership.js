@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const GroupAuditLog = require('../models/GroupAuditLog');
+
+const PREVIOUS_OWNER_ROLES = ['member', 'moderator'];
+// Pending transfers older than this are assumed to belong to a request that crashed
+const STALE_TRANSFER_MS = 60 * 1000;
+
+let transactionsSupported;
+
+// Transactions need a replica set or sharded cluster; a standalone server has neither
+const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionsSupported;
+};
+
+// Thrown when the group or either membership changed while the transfer was running
+const transferConflict = () => {
+  const error = new Error('Group ownership changed during the transfer, please try again');
+  error.code = 'TRANSFER_CONFLICT';
+  return error;
+};
+
+// Write every part of a claimed transfer. Each write can be repeated, so a transfer that
+// stopped half way can be run again from the start, and the last write clears the marker.
+// If the new owner is no longer an active member the transfer is rolled back instead.
+const applyTransfer = async (groupId, transfer, session = null) => {
+  const { transferId, fromUserId, toUserId, previousOwnerRole } = transfer;
+
+  const promoted = await GroupMember.updateOne(
+    { groupId, userId: toUserId, status: 'active' },
+    { $set: { role: 'admin' } },
+    { session }
+  );
+  if (promoted.matchedCount === 0) {
+    await GroupMember.updateOne({ groupId, userId: fromUserId, status: 'active' }, { $set: { role: 'admin' } }, { session });
+    await Group.updateOne(
+      { _id: groupId, 'pendingTransfer.transferId': transferId },
+      { $set: { adminId: fromUserId }, $unset: { pendingTransfer: 1 } },
+      { session }
+    );
+    throw transferConflict();
+  }
+
+  await Group.updateOne(
+    { _id: groupId },
+    { $set: { adminId: toUserId, updatedAt: new Date() } },
+    { session }
+  );
+
+  await GroupMember.updateOne(
+    { groupId, userId: fromUserId },
+    { $set: { role: previousOwnerRole } },
+    { session }
+  );
+
+  await GroupAuditLog.updateOne(
+    { groupId, action: 'ownership_transferred', 'details.transferId': transferId },
+    {
+      $setOnInsert: {
+        actorId: transfer.actorId,
+        targetUserId: toUserId,
+        reason: transfer.reason,
+        'details.previousOwnerId': fromUserId,
+        'details.previousOwnerRole': previousOwnerRole,
+        'details.automatic': transfer.automatic
+      }
+    },
+    { upsert: true, session }
+  );
+
+  await Group.updateOne(
+    { _id: groupId, 'pendingTransfer.transferId': transferId },
+    { $unset: { pendingTransfer: 1 } },
+    { session }
+  );
+};
+
+// Move ownership of a group from one active member to another: Group.adminId, both
+// GroupMember roles and the audit entry. The transfer is claimed by recording it on
+// the group while the caller still owns it. With transactions the claim and every write commit
+// together. On a standalone server the writes can stop half way; the claim then stays on the
+// group and reconcilePendingTransfers finishes or rolls back the transfer.
+// `actorId` is left out for automatic hand-overs.
+const transferOwnership = async ({ group, fromUserId, toUserId, previousOwnerRole = 'member', actorId, reason, automatic = false }) => {
+  const transfer = {
+    transferId: new mongoose.Types.ObjectId(),
+    fromUserId,
+    toUserId,
+    previousOwnerRole,
+    actorId,
+    reason,
+    automatic,
+    startedAt: new Date()
+  };
+
+  const run = async (session = null) => {
+    const claimed = await Group.updateOne(
+      { _id: group._id, adminId: fromUserId, pendingTransfer: null },
+      { $set: { pendingTransfer: transfer } },
+      { session }
+    );
+    if (claimed.matchedCount === 0) throw transferConflict();
+
+    await applyTransfer(group._id, transfer, session);
+  };
+
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(() => run(session));
+    } finally {
+      await session.endSession();
+    }
+  } else {
+    await run();
+  }
+};
+
+// Finish transfers that a crash or error left half done on a standalone server.
+// Resolves to the number of transfers settled.
+const reconcilePendingTransfers = async () => {
+  const groups = await Group.find({ 'pendingTransfer.startedAt': { $lt: new Date(Date.now() - STALE_TRANSFER_MS) } })
+    .select('pendingTransfer');
+
+  let settled = 0;
+  for (const group of groups) {
+    try {
+      await applyTransfer(group._id, group.pendingTransfer.toObject());
+    } catch (error) {
+      // A conflict means the transfer was rolled back, which also settles it
+      if (error.code !== 'TRANSFER_CONFLICT') throw error;
+    }
+    settled++;
+  }
+  return settled;
+};
+
+module.exports = {
+  PREVIOUS_OWNER_ROLES,
+  transferOwnership,
+  reconcilePendingTransfers
+};
@@ -0,0 +1,73 @@
+const GroupMember = require('../models/GroupMember');
+const GroupAuditLog = require('../models/GroupAuditLog');
+
+const MEMBER_PERMISSIONS = ['canPostQuestions', 'canComment', 'canInviteMembers'];
+
+// Thrown when the membership is no longer in the role the change expects
+const roleConflict = () => {
+  const error = new Error('The member\'s role changed in the meantime, please reload and try again');
+  error.code = 'ROLE_CONFLICT';
+  return error;
+};
+
+// Promote an active member to moderator or demote a moderator back to member.
+// GroupMember.role is the only record of who moderates, so a single conditional update
+// claims the change and no transaction is needed.
+const setModerator = async ({ group, userId, moderator, actorId, reason }) => {
+  const updated = await GroupMember.updateOne(
+    { groupId: group._id, userId, status: 'active', role: moderator ? 'member' : 'moderator' },
+    { $set: { role: moderator ? 'moderator' : 'member' } }
+  );
+  if (updated.matchedCount === 0) throw roleConflict();
+
+  await GroupAuditLog.create({
+    groupId: group._id,
+    actorId,
+    action: moderator ? 'moderator_added' : 'moderator_removed',
+    targetUserId: userId,
+    reason
+  });
+};
+
+// Apply a partial { permission: Boolean } update and record what changed.
+// Returns the names of the permissions that actually changed.
+const updatePermissions = async ({ group, membership, permissions, actorId, reason }) => {
+  const changes = {};
+  for (const name of MEMBER_PERMISSIONS) {
+    if (permissions[name] !== undefined && membership.permissions[name] !== permissions[name]) {
+      changes[name] = { from: membership.permissions[name], to: permissions[name] };
+      membership.permissions[name] = permissions[name];
+    }
+  }
+
+  const changed = Object.keys(changes);
+  if (changed.length === 0) {
+    return changed;
+  }
+
+  await membership.save();
+  await GroupAuditLog.create({
+    groupId: group._id,
+    actorId,
+    action: 'member_permissions_changed',
+    targetUserId: membership.userId,
+    reason,
+    details: changes
+  });
+
+  return changed;
+};
+
+// Call when a membership ends so a departed moderator doesn't keep the role; the caller saves
+const clearModerator = (membership) => {
+  if (membership.role === 'moderator') {
+    membership.role = 'member';
+  }
+};
+
+module.exports = {
+  MEMBER_PERMISSIONS,
+  setModerator,
+  updatePermissions,
+  clearModerator
+};
@@ -0,0 +1,56 @@
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const Question = require('../models/Question');
+
+// Keep Group.statistics.totalQuestions in step as questions are posted and removed
+const recordQuestionAdded = (groupId) => Group.updateOne(
+  { _id: groupId },
+  { $inc: { 'statistics.totalQuestions': 1 }, $set: { 'statistics.lastActivity': new Date() } }
+);
+
+const recordQuestionsRemoved = (groupId, count = 1) => Group.updateOne(
+  { _id: groupId },
+  [{ $set: { 'statistics.totalQuestions': { $max: [{ $subtract: ['$statistics.totalQuestions', count] }, 0] } } }]
+);
+
+// Recount member and question totals of every group from the source collections.
+// Used to repair drift and to fill in counters for groups created before they were kept.
+const rebuildGroupStatistics = async () => {
+  const [memberCounts, questionCounts] = await Promise.all([
+    GroupMember.aggregate([
+      { $match: { status: 'active' } },
+      { $group: { _id: '$groupId', count: { $sum: 1 } } }
+    ]),
+    Question.aggregate([
+      { $match: { status: 'active' } },
+      { $group: { _id: '$groupId', count: { $sum: 1 }, lastPostedAt: { $max: '$createdAt' } } }
+    ])
+  ]);
+
+  const members = new Map(memberCounts.map(entry => [entry._id.toString(), entry.count]));
+  const questions = new Map(questionCounts.map(entry => [entry._id.toString(), entry]));
+
+  let updated = 0;
+  for await (const group of Group.find().select('statistics').cursor()) {
+    const questionStats = questions.get(group._id.toString());
+    const update = {
+      'statistics.totalMembers': members.get(group._id.toString()) || 0,
+      'statistics.totalQuestions': questionStats?.count || 0
+    };
+    // Only ever move lastActivity forward
+    if (questionStats && questionStats.lastPostedAt > (group.statistics?.lastActivity || 0)) {
+      update['statistics.lastActivity'] = questionStats.lastPostedAt;
+    }
+
+    await Group.updateOne({ _id: group._id }, { $set: update });
+    updated++;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  recordQuestionAdded,
+  recordQuestionsRemoved,
+  rebuildGroupStatistics
+};
@@ -0,0 +1,42 @@
+const { pick, parseTimestamp, unwrapList } = require('./common');
+
+// https://codeforces.com/problemset/problem/1234/A, /contest/1234/problem/A -> 1234A
+const keyFromUrl = (url) => {
+  const match = /codeforces\.com\/(?:problemset\/problem|contest|gym)\/(\d+)(?:\/problem)?\/([a-z0-9]+)/i.exec(url || '');
+  return match ? `${match[1]}${match[2].toUpperCase()}` : null;
+};
+
+const toKey = (contestId, index) => (contestId && index ? `${contestId}${String(index).toUpperCase()}` : null);
+
+const isAccepted = (verdict) => verdict === undefined || /^(ok|accepted)$/i.test(String(verdict));
+
+// Output of the user.status API ({ status: 'OK', result: [...] }), or a CSV with
+// contestId/index or url, verdict and time columns. Submissions by other handles,
+// e.g. from team accounts, are dropped.
+const parse = ({ format, data }, handle) => {
+  if (format === 'json') {
+    return unwrapList(data, 'result')
+      .filter(entry => !handle || !entry.author?.members?.length ||
+        entry.author.members.some(member => member.handle?.toLowerCase() === handle.toLowerCase()))
+      .map(entry => ({
+        key: toKey(entry.problem?.contestId ?? entry.contestId, entry.problem?.index),
+        title: entry.problem?.name,
+        solvedAt: parseTimestamp(entry.creationTimeSeconds),
+        accepted: isAccepted(entry.verdict)
+      }));
+  }
+
+  return data.map(row => ({
+    key: toKey(pick(row, 'contestId', 'contest_id', 'contest'), pick(row, 'index', 'problem_index')) ||
+      keyFromUrl(pick(row, 'url', 'link', 'problem_url')),
+    title: pick(row, 'name', 'title', 'problem'),
+    solvedAt: parseTimestamp(pick(row, 'creationTimeSeconds', 'time', 'timestamp', 'date', 'solved_at')),
+    accepted: isAccepted(pick(row, 'verdict', 'status'))
+  }));
+};
+
+module.exports = {
+  platform: 'CodeForces',
+  keyFromUrl,
+  parse
+};
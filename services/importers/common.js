@@ -0,0 +1,66 @@
+const path = require('path');
+const { parseCsv } = require('../../utils/csv');
+
+// Thrown when an uploaded file cannot be read as a submission export
+const invalidExport = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_EXPORT';
+  return error;
+};
+
+// Read an uploaded export as JSON or CSV rows depending on its extension
+const readExportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (extension === '.json') {
+    try {
+      return { format: 'json', data: JSON.parse(text) };
+    } catch (error) {
+      throw invalidExport('The file is not valid JSON');
+    }
+  }
+
+  return { format: 'csv', data: parseCsv(text) };
+};
+
+// First non-empty value among several possible column names, ignoring case
+const pick = (row, ...names) => {
+  const keys = Object.keys(row);
+  for (const name of names) {
+    const key = keys.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    if (key && row[key] !== undefined && row[key] !== null && row[key] !== '') {
+      return row[key];
+    }
+  }
+  return undefined;
+};
+
+// Accept Unix timestamps in seconds or milliseconds, and date strings
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const numeric = Number(value);
+  const date = Number.isFinite(numeric)
+    ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Find the array of submissions in a JSON export, which may be wrapped in an object
+const unwrapList = (data, ...keys) => {
+  if (Array.isArray(data)) return data;
+  for (const key of keys) {
+    if (Array.isArray(data?.[key])) return data[key];
+  }
+  throw invalidExport(`Expected a list of submissions${keys.length ? ` or an object with ${keys.join(' / ')}` : ''}`);
+};
+
+module.exports = {
+  invalidExport,
+  readExportFile,
+  pick,
+  parseTimestamp,
+  unwrapList
+};
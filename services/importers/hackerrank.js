@@ -0,0 +1,41 @@
+const { pick, parseTimestamp, unwrapList } = require('./common');
+
+// https://www.hackerrank.com/challenges/solve-me-first/problem -> solve-me-first
+const keyFromUrl = (url) => {
+  const match = /hackerrank\.com\/(?:contests\/[^/]+\/)?challenges\/([a-z0-9-]+)/i.exec(url || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+const isAccepted = (status) => status === undefined || /^(accepted|solved)$/i.test(String(status));
+
+// Submission lists from the HackerRank REST API ({ models: [...] }),
+// or a CSV with challenge slug/url, status and date columns
+const parse = ({ format, data }) => {
+  if (format === 'json') {
+    return unwrapList(data, 'models', 'submissions').map(entry => {
+      const slug = entry.challenge?.slug || entry.challenge_slug || keyFromUrl(entry.url);
+      return {
+        key: slug ? slug.toLowerCase() : null,
+        title: entry.challenge?.name || entry.name,
+        solvedAt: parseTimestamp(entry.created_at ?? entry.createdAt),
+        accepted: isAccepted(entry.status)
+      };
+    });
+  }
+
+  return data.map(row => {
+    const slug = pick(row, 'challenge_slug', 'slug');
+    return {
+      key: slug ? slug.toLowerCase() : keyFromUrl(pick(row, 'url', 'link', 'challenge_url')),
+      title: pick(row, 'challenge_name', 'name', 'title'),
+      solvedAt: parseTimestamp(pick(row, 'created_at', 'solved_at', 'date', 'timestamp')),
+      accepted: isAccepted(pick(row, 'status', 'result'))
+    };
+  });
+};
+
+module.exports = {
+  platform: 'HackerRank',
+  keyFromUrl,
+  parse
+};
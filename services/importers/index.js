@@ -0,0 +1,160 @@
+const GroupMember = require('../../models/GroupMember');
+const Question = require('../../models/Question');
+const { readExportFile } = require('./common');
+const { refreshMemberStats } = require('../memberStats');
+const { checkMute } = require('../groupAccess');
+
+const IMPORTERS = {
+  leetcode: require('./leetcode'),
+  codeforces: require('./codeforces'),
+  hackerrank: require('./hackerrank')
+};
+
+const getImporter = (platformId) => IMPORTERS[platformId] || null;
+
+// Reduce parsed submissions to one entry per accepted problem, keeping the first accepted time
+const collectSolvedProblems = (submissions) => {
+  const solved = new Map();
+  let invalid = 0;
+  let notAccepted = 0;
+
+  for (const submission of submissions) {
+    if (!submission.key) {
+      invalid++;
+      continue;
+    }
+    if (!submission.accepted) {
+      notAccepted++;
+      continue;
+    }
+
+    const existing = solved.get(submission.key);
+    if (!existing) {
+      solved.set(submission.key, { ...submission });
+    } else if (submission.solvedAt && (!existing.solvedAt || submission.solvedAt < existing.solvedAt)) {
+      existing.solvedAt = submission.solvedAt;
+    }
+  }
+
+  return { solved, invalid, notAccepted };
+};
+
+// Import a platform export for a user: match accepted problems to questions in the
+// user's groups by sourceUrl and platform, and mark them solved in memberResponses.
+// Groups where the user is muted, or that are read-only, are left alone and reported
+// in skippedGroups. With dryRun the report is built without saving anything.
+const importSolvedHistory = async (userId, platformId, file, { handle, dryRun = false } = {}) => {
+  const importer = getImporter(platformId);
+  const submissions = importer.parse(readExportFile(file), handle);
+  const { solved, invalid, notAccepted } = collectSolvedProblems(submissions);
+
+  const memberships = await GroupMember.find({ userId, status: 'active' })
+    .select('groupId role mutedUntil muteReason')
+    .populate('groupId', 'name settings');
+
+  const writableGroupIds = [];
+  const skippedGroups = [];
+  for (const membership of memberships) {
+    if (!membership.groupId) continue;
+    const denial = checkMute(membership.groupId, membership);
+    if (denial) {
+      skippedGroups.push({ groupId: membership.groupId._id, name: membership.groupId.name, reason: denial.body.code });
+    } else {
+      writableGroupIds.push(membership.groupId._id);
+    }
+  }
+
+  const questions = await Question.find({
+    groupId: { $in: writableGroupIds },
+    platform: importer.platform,
+    status: 'active'
+  });
+
+  // The same problem can be posted in several groups
+  const questionsByKey = new Map();
+  for (const question of questions) {
+    const key = importer.keyFromUrl(question.sourceUrl);
+    if (!key) continue;
+    if (!questionsByKey.has(key)) questionsByKey.set(key, []);
+    questionsByKey.get(key).push(question);
+  }
+
+  const matched = [];
+  const unmatched = [];
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  const changedGroups = new Set();
+
+  for (const problem of solved.values()) {
+    const matches = questionsByKey.get(problem.key);
+    if (!matches) {
+      unmatched.push({ key: problem.key, title: problem.title, solvedAt: problem.solvedAt });
+      continue;
+    }
+
+    for (const question of matches) {
+      const submittedAt = problem.solvedAt || new Date();
+      const response = question.memberResponses.find(entry => entry.userId.toString() === userId.toString());
+
+      let action;
+      if (!response) {
+        question.memberResponses.push({
+          userId,
+          status: 'solved',
+          difficultyRating: question.difficulty,
+          submittedAt,
+          solvedAt: submittedAt
+        });
+        action = 'created';
+      } else if (response.status !== 'solved') {
+        response.status = 'solved';
+        response.submittedAt = submittedAt;
+        response.solvedAt = response.solvedAt || submittedAt;
+        action = 'updated';
+      } else {
+        action = 'unchanged';
+      }
+
+      if (action !== 'unchanged' && !dryRun) {
+        await question.save();
+        changedGroups.add(question.groupId.toString());
+      }
+
+      counts[action]++;
+      matched.push({
+        key: problem.key,
+        questionId: question._id,
+        title: question.title,
+        groupId: question.groupId,
+        solvedAt: submittedAt,
+        action
+      });
+    }
+  }
+
+  for (const groupId of changedGroups) {
+    await refreshMemberStats(groupId, [userId]);
+  }
+
+  return {
+    platform: importer.platform,
+    dryRun,
+    summary: {
+      submissions: submissions.length,
+      invalid,
+      notAccepted,
+      solvedProblems: solved.size,
+      matchedProblems: solved.size - unmatched.length,
+      unmatchedProblems: unmatched.length,
+      ...counts
+    },
+    matched,
+    unmatched,
+    skippedGroups
+  };
+};
+
+module.exports = {
+  PLATFORM_IDS: Object.keys(IMPORTERS),
+  getImporter,
+  importSolvedHistory
+};
@@ -0,0 +1,38 @@
+const { pick, parseTimestamp, unwrapList } = require('./common');
+
+// https://leetcode.com/problems/two-sum/ -> two-sum
+const keyFromUrl = (url) => {
+  const match = /leetcode\.(?:com|cn)\/problems\/([a-z0-9-]+)/i.exec(url || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+const isAccepted = (status) => status === undefined || status === 10 || /^accepted$/i.test(String(status));
+
+// Submission dumps from the LeetCode submissions API ({ submissions_dump: [...] }),
+// or a CSV with slug/url, status and timestamp columns
+const parse = ({ format, data }) => {
+  if (format === 'json') {
+    return unwrapList(data, 'submissions_dump', 'submissions').map(entry => ({
+      key: (entry.title_slug || entry.titleSlug || keyFromUrl(entry.url) || '').toLowerCase() || null,
+      title: entry.title,
+      solvedAt: parseTimestamp(entry.timestamp),
+      accepted: isAccepted(entry.status_display ?? entry.statusDisplay ?? entry.status)
+    }));
+  }
+
+  return data.map(row => {
+    const slug = pick(row, 'title_slug', 'titleSlug', 'slug');
+    return {
+      key: slug ? slug.toLowerCase() : keyFromUrl(pick(row, 'url', 'link', 'problem_url')),
+      title: pick(row, 'title', 'name'),
+      solvedAt: parseTimestamp(pick(row, 'timestamp', 'solved_at', 'date', 'submitted_at')),
+      accepted: isAccepted(pick(row, 'status_display', 'status', 'verdict'))
+    };
+  });
+};
+
+module.exports = {
+  platform: 'LeetCode',
+  keyFromUrl,
+  parse
+};
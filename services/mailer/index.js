@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./templates');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'CodeBuddy <no-reply@codebuddy.local>';
+
+let transporter = null;
+
+// Build the transport from MAIL_TRANSPORT: 'smtp', 'json' (logs recipient and subject) or 'file' (writes .eml files).
+// Defaults to SMTP when SMTP_HOST is set and to JSON otherwise so local dev never sends real mail.
+const createTransporter = () => {
+  const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+  switch (transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+};
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+// Allow tests and scripts to swap the transport
+const setTransporter = (customTransporter) => {
+  transporter = customTransporter;
+};
+
+// Persist or log messages produced by the non-SMTP transports
+const handleLocalDelivery = async (info) => {
+  if (info.message && Buffer.isBuffer(info.message)) {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', '..', 'logs', 'mail');
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+  } else if (typeof info.message === 'string' && process.env.NODE_ENV !== 'test') {
+    // Bodies carry verification, reset and invitation tokens, so they only reach the log
+    // when a developer asks for them with MAIL_LOG_BODY outside production
+    if (process.env.MAIL_LOG_BODY === 'true' && process.env.NODE_ENV !== 'production') {
+      console.log('Email (json transport):', info.message);
+    } else {
+      const { to, subject } = JSON.parse(info.message);
+      const recipients = [].concat(to || []).map(recipient => recipient.address || recipient).join(', ');
+      console.log(`Email (json transport) to ${recipients}: ${subject}`);
+    }
+  }
+};
+
+// Render a template and send it
+const sendTemplate = async (templateName, to, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, html, text } = template(data);
+  const info = await getTransporter().sendMail({ from: MAIL_FROM, to, subject, html, text });
+  await handleLocalDelivery(info);
+  return info;
+};
+
+// Links in emails point at the frontend, which calls the API with the token
+const buildClientUrl = (pathname) => {
+  const baseUrl = process.env.APP_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
+
+const sendVerificationEmail = (user, token) => sendTemplate('verifyEmail', user.email, {
+  name: user.name,
+  url: buildClientUrl(`/verify-email/${token}`)
+});
+
+const sendPasswordResetEmail = (user, token) => sendTemplate('passwordReset', user.email, {
+  name: user.name,
+  url: buildClientUrl(`/reset-password?token=${token}`)
+});
+
+// Sent to the new address; the old one stays active until this is confirmed
+const sendEmailChangeConfirmation = (user, newEmail, token) => sendTemplate('confirmEmailChange', newEmail, {
+  name: user.name,
+  newEmail,
+  url: buildClientUrl(`/confirm-email-change/${token}`)
+});
+
+// Sent to the previous address with a link to revert the change
+const sendEmailChangedNotice = (user, previousEmail, undoToken) => sendTemplate('emailChanged', previousEmail, {
+  name: user.name,
+  newEmail: user.email,
+  url: buildClientUrl(`/undo-email-change/${undoToken}`)
+});
+
+// Sent for sensitive account events; `summary` is a short sentence such as "Your password was changed"
+const sendSecurityAlert = (user, event, summary) => sendTemplate('securityAlert', user.email, {
+  name: user.name,
+  summary,
+  occurredAt: event.createdAt.toUTCString(),
+  ipAddress: event.ipAddress,
+  userAgent: event.userAgent,
+  url: buildClientUrl('/settings/security')
+});
+
+// Email copy of an in-app notification
+const sendNotificationEmail = (user, notification) => sendTemplate('notification', user.email, {
+  name: user.name,
+  title: notification.title,
+  message: notification.message,
+  url: notification.link ? buildClientUrl(notification.link) : null
+});
+
+// Invitation to a group; the token is only ever sent in this email
+const sendGroupInvitation = (invitation, { group, inviter, token }) => sendTemplate('groupInvitation', invitation.email, {
+  groupName: group.name,
+  inviterName: inviter.name,
+  message: invitation.message,
+  url: buildClientUrl(`/invitations/${token}`),
+  expiresAt: invitation.expiresAt.toUTCString()
+});
+
+module.exports = {
+  sendTemplate,
+  setTransporter,
+  buildClientUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangedNotice,
+  sendSecurityAlert,
+  sendNotificationEmail,
+  sendGroupInvitation
+};
@@ -0,0 +1,19 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+module.exports = ({ name, newEmail, url }) => ({
+  subject: 'Confirm your new email address',
+  html: renderLayout({
+    title: 'Confirm your new email address',
+    body: `<p>Hi ${escapeHtml(name)},</p>
+<p>You asked to change the email address on your account to <strong>${escapeHtml(newEmail)}</strong>. Confirm the change to start using it.</p>
+${renderButton(url, 'Confirm new email')}
+<p>This link expires in 24 hours. Until then your current address stays active. If you did not request this, you can ignore this email.</p>`
+  }),
+  text: `Hi ${name},
+
+You asked to change the email address on your account to ${newEmail}. Confirm the change to start using it:
+
+${url}
+
+This link expires in 24 hours. Until then your current address stays active. If you did not request this, you can ignore this email.`
+});
@@ -0,0 +1,22 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+module.exports = ({ name, newEmail, url }) => ({
+  subject: 'Your email address was changed',
+  html: renderLayout({
+    title: 'Your email address was changed',
+    body: `<p>Hi ${escapeHtml(name)},</p>
+<p>The email address on your account was changed to <strong>${escapeHtml(newEmail)}</strong>.</p>
+<p>If you made this change, no action is needed. If you did not, undo it now. This restores this address and signs out every device.</p>
+${renderButton(url, 'Undo email change')}
+<p>The undo link is valid for 7 days.</p>`
+  }),
+  text: `Hi ${name},
+
+The email address on your account was changed to ${newEmail}.
+
+If you made this change, no action is needed. If you did not, undo it now. This restores this address and signs out every device:
+
+${url}
+
+The undo link is valid for 7 days.`
+});
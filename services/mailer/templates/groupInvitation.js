@@ -0,0 +1,19 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+module.exports = ({ groupName, inviterName, message, url, expiresAt }) => ({
+  subject: `${inviterName} invited you to join ${groupName} on CodeBuddy`,
+  html: renderLayout({
+    title: `Join ${groupName}`,
+    body: `<p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(groupName)}</strong> on CodeBuddy.</p>
+${message ? `<blockquote style="margin:16px 0;padding:8px 16px;border-left:3px solid #d2d6dc;color:#52606d;">${escapeHtml(message)}</blockquote>` : ''}
+${renderButton(url, 'Accept invitation')}
+<p>If you do not have an account yet, you can create one from that page. This invitation expires on ${escapeHtml(expiresAt)}.</p>`
+  }),
+  text: `${inviterName} invited you to join ${groupName} on CodeBuddy.
+
+${message ? `"${message}"\n\n` : ''}Accept the invitation here:
+
+${url}
+
+If you do not have an account yet, you can create one from that page. This invitation expires on ${expiresAt}.`
+});
@@ -0,0 +1,9 @@
+module.exports = {
+  verifyEmail: require('./verifyEmail'),
+  passwordReset: require('./passwordReset'),
+  confirmEmailChange: require('./confirmEmailChange'),
+  emailChanged: require('./emailChanged'),
+  securityAlert: require('./securityAlert'),
+  notification: require('./notification'),
+  groupInvitation: require('./groupInvitation')
+};
@@ -0,0 +1,35 @@
+// Escape user-provided values before placing them in HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML wrapper so every email looks the same
+const renderLayout = ({ title, body }) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;">
+      <tr>
+        <td style="padding:32px;">
+          <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+          ${body}
+          <p style="margin:32px 0 0;font-size:12px;color:#7b8794;">CodeBuddy</p>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+// Call-to-action button
+const renderButton = (url, label) => `<p style="margin:24px 0;">
+  <a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a>
+</p>
+<p style="font-size:12px;color:#7b8794;">If the button does not work, copy this link into your browser:<br>${escapeHtml(url)}</p>`;
+
+module.exports = { escapeHtml, renderLayout, renderButton };
@@ -0,0 +1,15 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+module.exports = ({ name, title, message, url }) => ({
+  subject: title,
+  html: renderLayout({
+    title,
+    body: `<p>Hi ${escapeHtml(name)},</p>
+${message ? `<p>${escapeHtml(message)}</p>` : ''}
+${url ? renderButton(url, 'Open CodeBuddy') : ''}
+<p style="font-size:12px;color:#7b8794;">You can change which emails you get in your notification settings.</p>`
+  }),
+  text: `Hi ${name},
+
+${message ? `${message}\n\n` : ''}${url ? `${url}\n\n` : ''}You can change which emails you get in your notification settings.`
+});
@@ -0,0 +1,19 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+module.exports = ({ name, url }) => ({
+  subject: 'Reset your password',
+  html: renderLayout({
+    title: 'Reset your password',
+    body: `<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset your password. Use the button below to choose a new one.</p>
+${renderButton(url, 'Reset password')}
+<p>This link expires in 1 hour. If you did not request a reset, you can ignore this email and your password will stay the same.</p>`
+  }),
+  text: `Hi ${name},
+
+We received a request to reset your password. Open this link to choose a new one:
+
+${url}
+
+This link expires in 1 hour. If you did not request a reset, you can ignore this email and your password will stay the same.`
+});
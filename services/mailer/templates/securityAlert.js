@@ -0,0 +1,26 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+module.exports = ({ name, summary, occurredAt, ipAddress, userAgent, url }) => ({
+  subject: `Security alert: ${summary}`,
+  html: renderLayout({
+    title: 'Security alert',
+    body: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(summary)} on your CodeBuddy account.</p>
+<p>Time: ${escapeHtml(occurredAt)}<br>
+IP address: ${escapeHtml(ipAddress || 'unknown')}<br>
+Device: ${escapeHtml(userAgent || 'unknown')}</p>
+<p>If this was you, no action is needed. If not, change your password and sign out your other sessions.</p>
+${renderButton(url, 'Review account security')}`
+  }),
+  text: `Hi ${name},
+
+${summary} on your CodeBuddy account.
+
+Time: ${occurredAt}
+IP address: ${ipAddress || 'unknown'}
+Device: ${userAgent || 'unknown'}
+
+If this was you, no action is needed. If not, change your password and sign out your other sessions:
+
+${url}`
+});
@@ -0,0 +1,19 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+module.exports = ({ name, url }) => ({
+  subject: 'Verify your email address',
+  html: renderLayout({
+    title: 'Verify your email address',
+    body: `<p>Hi ${escapeHtml(name)},</p>
+<p>Thanks for signing up. Please confirm your email address to finish setting up your account.</p>
+${renderButton(url, 'Verify email')}
+<p>This link expires in 24 hours. If you did not create an account, you can ignore this email.</p>`
+  }),
+  text: `Hi ${name},
+
+Thanks for signing up. Please confirm your email address to finish setting up your account:
+
+${url}
+
+This link expires in 24 hours. If you did not create an account, you can ignore this email.`
+});
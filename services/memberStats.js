@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const Question = require('../models/Question');
+const MemberStats = require('../models/MemberStats');
+
+// Sortable stats of the members list and the direction each sorts in by default
+const MEMBER_SORTS = {
+  rank: { field: 'rank', order: 'asc' },
+  problemsSolved: { field: 'stats.problemsSolved', order: 'desc' },
+  successRate: { field: 'stats.successRate', order: 'desc' },
+  currentStreak: { field: 'stats.currentStreak', order: 'desc' },
+  averageTimeToSolve: { field: 'stats.averageTimeToSolve', order: 'asc' },
+  totalResponses: { field: 'stats.totalResponses', order: 'desc' },
+  joinedAt: { field: 'joinedAt', order: 'asc' },
+  lastActive: { field: 'lastActive', order: 'desc' }
+};
+
+// Compute the stats of every member matched by `responseMatch` in one group, in a single pass
+// over its active questions. Newest questions come first so the streak can count back.
+const aggregateStats = (groupId, responseMatch = {}) => Question.aggregate([
+  { $match: { groupId, status: 'active', ...responseMatch } },
+  { $sort: { createdAt: -1 } },
+  { $unwind: '$memberResponses' },
+  { $match: responseMatch },
+  {
+    $group: {
+      _id: '$memberResponses.userId',
+      problemsSolved: { $sum: { $cond: [{ $eq: ['$memberResponses.status', 'solved'] }, 1, 0] } },
+      totalResponses: { $sum: 1 },
+      timedSolves: {
+        $sum: {
+          $cond: [{ $and: [{ $eq: ['$memberResponses.status', 'solved'] }, { $gt: ['$memberResponses.timeToSolve', 0] }] }, 1, 0]
+        }
+      },
+      totalTimeToSolve: {
+        $sum: {
+          $cond: [{ $eq: ['$memberResponses.status', 'solved'] }, { $ifNull: ['$memberResponses.timeToSolve', 0] }, 0]
+        }
+      },
+      statuses: { $push: '$memberResponses.status' },
+      lastResponseAt: { $max: '$memberResponses.submittedAt' }
+    }
+  },
+  {
+    $project: {
+      problemsSolved: 1,
+      totalResponses: 1,
+      lastResponseAt: 1,
+      successRate: { $round: [{ $multiply: [{ $divide: ['$problemsSolved', '$totalResponses'] }, 100] }, 0] },
+      averageTimeToSolve: {
+        $cond: [{ $gt: ['$timedSolves', 0] }, { $round: [{ $divide: ['$totalTimeToSolve', '$timedSolves'] }, 0] }, null]
+      },
+      currentStreak: {
+        $getField: {
+          field: 'count',
+          input: {
+            $reduce: {
+              input: '$statuses',
+              initialValue: { count: 0, counting: true },
+              in: {
+                $cond: [
+                  { $and: ['$$value.counting', { $eq: ['$$this', 'solved'] }] },
+                  { count: { $add: ['$$value.count', 1] }, counting: true },
+                  { count: '$$value.count', counting: false }
+                ]
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+]);
+
+const saveStats = (groupId, results) => {
+  if (results.length === 0) {
+    return null;
+  }
+
+  const updatedAt = new Date();
+  return MemberStats.bulkWrite(results.map(({ _id: userId, ...stats }) => ({
+    updateOne: {
+      filter: { groupId, userId },
+      update: { $set: { ...stats, updatedAt } },
+      upsert: true
+    }
+  })));
+};
+
+// Recompute the stats of some users in a group. Call after anything that changes their
+// responses or removes a question they responded to.
+const refreshMemberStats = async (groupId, userIds) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  groupId = new mongoose.Types.ObjectId(groupId);
+  userIds = userIds.map(userId => new mongoose.Types.ObjectId(userId));
+
+  const results = await aggregateStats(groupId, { 'memberResponses.userId': { $in: userIds } });
+  await saveStats(groupId, results);
+
+  // Users with no responses left go back to having no document
+  const withStats = results.map(result => result._id);
+  await MemberStats.deleteMany({ groupId, userId: { $in: userIds, $nin: withStats } });
+};
+
+// Recompute the stats of every member of every group. Used for backfills and to repair drift.
+const rebuildMemberStats = async () => {
+  let groups = 0;
+  for await (const group of Group.find().select('_id').cursor()) {
+    const results = await aggregateStats(group._id);
+    await saveStats(group._id, results);
+    await MemberStats.deleteMany({ groupId: group._id, userId: { $nin: results.map(result => result._id) } });
+    groups++;
+  }
+
+  return groups;
+};
+
+// One page of a group's active members with their stats. `rank` orders members by problems
+// solved, with equal counts sharing a rank. Resolves to { members, total }.
+const listGroupMembers = async ({ groupId, sort, order, skip, limit }) => {
+  const { field } = MEMBER_SORTS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+
+  const [result] = await GroupMember.aggregate([
+    { $match: { groupId: new mongoose.Types.ObjectId(groupId), status: 'active' } },
+    {
+      $lookup: {
+        from: MemberStats.collection.name,
+        let: { userId: '$userId' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$groupId', new mongoose.Types.ObjectId(groupId)] },
+                  { $eq: ['$userId', '$$userId'] }
+                ]
+              }
+            }
+          }
+        ],
+        as: 'stats'
+      }
+    },
+    { $set: { stats: { $first: '$stats' } } },
+    {
+      $set: {
+        stats: {
+          problemsSolved: { $ifNull: ['$stats.problemsSolved', 0] },
+          successRate: { $ifNull: ['$stats.successRate', 0] },
+          currentStreak: { $ifNull: ['$stats.currentStreak', 0] },
+          totalResponses: { $ifNull: ['$stats.totalResponses', 0] },
+          averageTimeToSolve: { $ifNull: ['$stats.averageTimeToSolve', null] }
+        },
+        lastActive: { $ifNull: ['$lastActive', '$joinedAt'] }
+      }
+    },
+    { $setWindowFields: { sortBy: { 'stats.problemsSolved': -1 }, output: { rank: { $rank: {} } } } },
+    {
+      $facet: {
+        members: [
+          // Members without a value for the sorted stat always come last
+          { $set: { sortMissing: { $cond: [{ $eq: [{ $ifNull: [`$${field}`, null] }, null] }, 1, 0] } } },
+          { $sort: { sortMissing: 1, [field]: direction, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { userId: 1, role: 1, permissions: 1, mutedUntil: 1, joinedAt: 1, lastActive: 1, stats: 1, rank: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const members = await GroupMember.populate(result.members, { path: 'userId', select: 'name email avatar' });
+  return { members, total: result.total[0]?.count || 0 };
+};
+
+module.exports = {
+  MEMBER_SORTS,
+  refreshMemberStats,
+  rebuildMemberStats,
+  listGroupMembers
+};
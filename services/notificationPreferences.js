@@ -0,0 +1,134 @@
+// Notification events users can configure; every notification sender should pass one of these
+const NOTIFICATION_EVENTS = ['newQuestion', 'solutionReply', 'joinRequest', 'membershipChange', 'mention', 'weeklyDigest'];
+const NOTIFICATION_CHANNELS = ['email', 'push'];
+// Events that can be overridden for a single group
+const GROUP_NOTIFICATION_EVENTS = NOTIFICATION_EVENTS.filter(event => event !== 'weeklyDigest');
+
+// Events that ignore quiet hours because they are scheduled, not triggered by activity
+const QUIET_HOURS_EXEMPT_EVENTS = ['weeklyDigest'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidTime = (value) => TIME_PATTERN.test(value);
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Minutes since midnight at `date` in the given timezone
+const localMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+// Quiet hours may wrap past midnight, e.g. 22:00-07:00
+const isWithinQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled || !isValidTime(quietHours.start) || !isValidTime(quietHours.end)) {
+    return false;
+  }
+
+  const now = localMinutes(date, isValidTimeZone(quietHours.timezone) ? quietHours.timezone : 'UTC');
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+const findGroupPreference = (notifications, groupId) => groupId
+  ? (notifications?.groups || []).find(entry => entry.groupId?.toString() === groupId.toString())
+  : null;
+
+const isGroupMuted = (user, groupId) => !!findGroupPreference(user.preferences?.notifications, groupId)?.muted;
+
+// Whether quiet hours hold back `event` for the user right now
+const isInQuietHours = (user, event, at = new Date()) => !QUIET_HOURS_EXEMPT_EVENTS.includes(event) &&
+  isWithinQuietHours(user.preferences?.notifications?.quietHours, at);
+
+// Decide whether `user` should get `event` on `channel`. Checks, in order: the channel's
+// master switch, a muted group, the group's override for the event, the user's default
+// for the event, and quiet hours unless `ignoreQuietHours` is set by a caller that defers
+// delivery instead.
+const shouldNotify = (user, { event, channel, groupId, at = new Date(), ignoreQuietHours = false }) => {
+  const notifications = user.preferences?.notifications;
+  if (!NOTIFICATION_EVENTS.includes(event) || !NOTIFICATION_CHANNELS.includes(channel)) {
+    return false;
+  }
+
+  if (notifications?.[channel] === false) {
+    return false;
+  }
+
+  const groupPreference = findGroupPreference(notifications, groupId);
+  if (groupPreference?.muted) {
+    return false;
+  }
+
+  const groupSetting = groupPreference?.events?.[event]?.[channel];
+  const enabled = typeof groupSetting === 'boolean'
+    ? groupSetting
+    : notifications?.events?.[event]?.[channel] !== false;
+  if (!enabled) {
+    return false;
+  }
+
+  if (!ignoreQuietHours && isInQuietHours(user, event, at)) {
+    return false;
+  }
+
+  return true;
+};
+
+// Validate `{ eventName: { email, push } }` from a request body; returns an error message or null.
+// Group overrides may use null to fall back to the user's default.
+const validateEventSettings = (events, { allowedEvents = NOTIFICATION_EVENTS, allowInherit = false } = {}) => {
+  if (typeof events !== 'object' || events === null || Array.isArray(events)) {
+    return 'events must be an object';
+  }
+  for (const [event, channels] of Object.entries(events)) {
+    if (!allowedEvents.includes(event)) {
+      return `Unknown notification event: ${event}`;
+    }
+    if (typeof channels !== 'object' || channels === null) {
+      return `Settings for ${event} must be an object`;
+    }
+    for (const [channel, value] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return `Unknown notification channel: ${channel}`;
+      }
+      if (typeof value !== 'boolean' && !(allowInherit && value === null)) {
+        return `${event}.${channel} must be a boolean`;
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  GROUP_NOTIFICATION_EVENTS,
+  isValidTime,
+  isValidTimeZone,
+  isWithinQuietHours,
+  isInQuietHours,
+  isGroupMuted,
+  shouldNotify,
+  validateEventSettings
+};
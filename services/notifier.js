@@ -0,0 +1,91 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const mailer = require('./mailer');
+const { isGroupMuted, isInQuietHours, shouldNotify } = require('./notificationPreferences');
+
+// Send a notification to each user: an in-app entry unless they muted the group,
+// plus an email when their preferences allow it. Emails that fall in the user's quiet
+// hours are held back for sendDeferredEmails. The actor is never notified.
+// Failures are logged and swallowed so they never break the action that caused them.
+const notify = async (userIds, { type, event, groupId, actorId, title, message, link, data }) => {
+  try {
+    const recipientIds = [...new Set(userIds.map(id => id.toString()))]
+      .filter(id => !actorId || id !== actorId.toString());
+    if (recipientIds.length === 0) return [];
+
+    const recipients = await User.find({ _id: { $in: recipientIds }, isActive: true, deletedAt: null })
+      .select('name email preferences.notifications');
+
+    const notifications = [];
+    for (const user of recipients) {
+      if (groupId && isGroupMuted(user, groupId)) continue;
+
+      const notification = new Notification({
+        userId: user._id,
+        type,
+        event,
+        groupId,
+        actorId,
+        title,
+        message,
+        link,
+        data
+      });
+
+      if (shouldNotify(user, { event, channel: 'email', groupId, ignoreQuietHours: true })) {
+        if (isInQuietHours(user, event)) {
+          notification.emailDeferred = true;
+        } else {
+          try {
+            await mailer.sendNotificationEmail(user, notification);
+            notification.emailSent = true;
+          } catch (mailError) {
+            console.error('Send notification email error:', mailError);
+          }
+        }
+      }
+
+      await notification.save();
+      notifications.push(notification);
+    }
+    return notifications;
+  } catch (error) {
+    console.error('Notify error:', error);
+    return [];
+  }
+};
+
+// Send the emails held back by quiet hours once the recipient's quiet hours are over.
+// Notifications read in the app meanwhile, or whose email the user has since turned off,
+// are dropped from the queue. Resolves to the number of emails sent.
+const sendDeferredEmails = async () => {
+  let sent = 0;
+  for await (const notification of Notification.find({ emailDeferred: true }).cursor()) {
+    const user = await User.findOne({ _id: notification.userId, isActive: true, deletedAt: null })
+      .select('name email preferences.notifications');
+    const { event, groupId } = notification;
+
+    const stillWanted = user && !notification.readAt &&
+      shouldNotify(user, { event, channel: 'email', groupId, ignoreQuietHours: true });
+    if (stillWanted) {
+      if (isInQuietHours(user, event)) continue;
+
+      try {
+        await mailer.sendNotificationEmail(user, notification);
+        notification.emailSent = true;
+        sent++;
+      } catch (mailError) {
+        console.error('Send deferred notification email error:', mailError);
+      }
+    }
+
+    notification.emailDeferred = false;
+    await notification.save();
+  }
+  return sent;
+};
+
+module.exports = {
+  notify,
+  sendDeferredEmails
+};
@@ -0,0 +1,70 @@
+// GitHub OAuth app client. URLs are configurable so it can run against a mock server.
+const createGithubProvider = ({
+  clientId,
+  clientSecret,
+  authorizeUrl = 'https://github.com/login/oauth/authorize',
+  tokenUrl = 'https://github.com/login/oauth/access_token',
+  apiUrl = 'https://api.github.com'
+}) => {
+  const apiRequest = async (path, accessToken) => {
+    const response = await fetch(`${apiUrl}${path}`, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${accessToken}`,
+        'User-Agent': 'CodeBuddy'
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`GitHub API request to ${path} failed with status ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'github',
+    displayName: 'GitHub',
+
+    getAuthorizationUrl({ state, redirectUri }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: 'read:user user:email',
+        state
+      });
+      return `${authorizeUrl}?${params.toString()}`;
+    },
+
+    async exchangeCode({ code, redirectUri }) {
+      const tokenResponse = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code,
+          redirect_uri: redirectUri
+        })
+      });
+      const tokenData = await tokenResponse.json();
+      if (!tokenResponse.ok || !tokenData.access_token) {
+        throw new Error(tokenData.error_description || 'GitHub token exchange failed');
+      }
+
+      const profile = await apiRequest('/user', tokenData.access_token);
+      const emails = await apiRequest('/user/emails', tokenData.access_token);
+      const primaryEmail = emails.find(email => email.primary) || emails.find(email => email.verified);
+
+      return {
+        providerUserId: String(profile.id),
+        email: primaryEmail?.email?.toLowerCase(),
+        emailVerified: !!primaryEmail?.verified,
+        name: profile.name || profile.login,
+        username: profile.login,
+        avatar: profile.avatar_url,
+        profileUrl: profile.html_url
+      };
+    }
+  };
+};
+
+module.exports = createGithubProvider;
@@ -0,0 +1,50 @@
+const createGithubProvider = require('./githubProvider');
+const createOidcProvider = require('./oidcProvider');
+
+// Providers are plain objects with getAuthorizationUrl() and exchangeCode(),
+// so tests can register a client that talks to a local mock server.
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => providers.get(name);
+
+const listProviders = () => Array.from(providers.values()).map(provider => ({
+  name: provider.name,
+  displayName: provider.displayName
+}));
+
+// The frontend receives the redirect and posts the code to the API
+const getRedirectUri = (providerName) => {
+  const baseUrl = process.env.OAUTH_REDIRECT_BASE_URL || process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${baseUrl.replace(/\/$/, '')}/oauth/${providerName}/callback`;
+};
+
+if (process.env.GITHUB_CLIENT_ID) {
+  registerProvider(createGithubProvider({
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    authorizeUrl: process.env.GITHUB_AUTHORIZE_URL,
+    tokenUrl: process.env.GITHUB_TOKEN_URL,
+    apiUrl: process.env.GITHUB_API_URL
+  }));
+}
+
+if (process.env.OIDC_ISSUER) {
+  registerProvider(createOidcProvider({
+    displayName: process.env.OIDC_DISPLAY_NAME,
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPE
+  }));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getRedirectUri
+};
@@ -0,0 +1,65 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const mailer = require('./mailer');
+const { getClientInfo } = require('../utils/tokens');
+
+// A device counts as known once it had a successful login at least this long ago
+const KNOWN_DEVICE_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Events that can trigger an email alert. `newDeviceOnly` alerts only when the
+// request comes from a device the user has not signed in from before.
+const ALERTS = {
+  account_locked: { summary: 'Your account was locked after too many failed sign-in attempts' },
+  password_changed: { summary: 'Your password was changed from a new device', newDeviceOnly: true },
+  two_factor_disabled: { summary: 'Two-factor authentication was turned off' }
+};
+
+const isKnownDevice = (userId, userAgent) => SecurityEvent.exists({
+  userId,
+  type: 'login_success',
+  userAgent,
+  createdAt: { $lt: new Date(Date.now() - KNOWN_DEVICE_AGE_MS) }
+});
+
+const shouldAlert = async (user, event) => {
+  const alert = ALERTS[event.type];
+  if (!alert || user.preferences?.notifications?.securityAlerts === false) {
+    return false;
+  }
+  if (alert.newDeviceOnly && await isKnownDevice(user._id, event.userAgent)) {
+    return false;
+  }
+  return true;
+};
+
+// Record a security event for a user and send an alert email when needed.
+// Failures are logged and swallowed so they never break the request being audited.
+const recordSecurityEvent = async (user, type, req, details) => {
+  try {
+    const event = new SecurityEvent({
+      userId: user._id,
+      type,
+      ...(req ? getClientInfo(req) : {}),
+      details
+    });
+
+    if (await shouldAlert(user, event)) {
+      try {
+        await mailer.sendSecurityAlert(user, event, ALERTS[type].summary);
+        event.alertSent = true;
+      } catch (mailError) {
+        console.error('Send security alert error:', mailError);
+      }
+    }
+
+    await event.save();
+    return event;
+  } catch (error) {
+    console.error('Record security event error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  SECURITY_ALERT_TYPES: Object.keys(ALERTS),
+  recordSecurityEvent
+};
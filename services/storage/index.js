@@ -0,0 +1,48 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+let storage = null;
+
+// Pick the backend from STORAGE_DRIVER: 'local' (default) or 's3'.
+// Every backend exposes put(key, body, contentType), remove(key) and getUrl(key).
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        directory: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+        publicUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads'
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Allow tests and scripts to swap the backend
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files on local disk, served by the app under publicUrl
+const createLocalStorage = ({ directory, publicUrl }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the app, but never let one point outside the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const getUrl = (key) => `${publicUrl.replace(/\/$/, '')}/${key}`;
+
+  return {
+    name: 'local',
+    directory: root,
+    getUrl,
+
+    put: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      return { key, url: getUrl(key) };
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalStorage;
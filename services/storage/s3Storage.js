@@ -0,0 +1,46 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Objects in an S3-compatible bucket. Set endpoint and forcePathStyle to use a
+// local stand-in such as MinIO instead of AWS.
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = (publicUrl ||
+    (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)
+  ).replace(/\/$/, '');
+
+  const getUrl = (key) => `${baseUrl}/${key}`;
+
+  return {
+    name: 's3',
+    bucket,
+    getUrl,
+
+    put: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        // Keys are never reused, so objects can be cached forever
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return { key, url: getUrl(key) };
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+// Refuse decompression bombs before resizing
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Square avatar thumbnails, in pixels
+const AVATAR_SIZES = { small: 64, medium: 128, large: 256 };
+// Longest side of attachment renditions, in pixels
+const ATTACHMENT_SIZES = { thumbnail: 320, full: 1600 };
+
+// Thrown when an upload is not a supported image
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+};
+
+// Check the real content, not just the declared MIME type or extension
+const readImageMetadata = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw invalidImage('The file is not a readable image');
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw invalidImage(`Images must be one of: ${IMAGE_FORMATS.join(', ')}`);
+  }
+  return metadata;
+};
+
+// Resize into each size and re-encode as WebP, which also strips EXIF data
+const renderVariants = (buffer, sizes, resizeOptions) => Promise.all(
+  Object.entries(sizes).map(async ([name, size]) => {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(size, size, resizeOptions)
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    return { name, data, width: info.width, height: info.height };
+  })
+);
+
+const storeVariants = async (prefix, variants) => {
+  const storage = getStorage();
+  const id = crypto.randomBytes(8).toString('hex');
+  const stored = {};
+
+  for (const variant of variants) {
+    const { key, url } = await storage.put(`${prefix}/${id}-${variant.name}.webp`, variant.data, 'image/webp');
+    stored[variant.name] = { key, url, width: variant.width, height: variant.height, size: variant.data.length };
+  }
+  return stored;
+};
+
+// Delete stored files; failures are logged so they never block the request
+const removeFiles = async (keys = []) => {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error('Remove stored file error:', error);
+    }
+  }
+};
+
+// Store an avatar for a user or group. `ownerType` is 'users' or 'groups'.
+// Returns the URL of each size and the storage keys for later removal.
+const saveAvatar = async (ownerType, ownerId, file) => {
+  await readImageMetadata(file.buffer);
+  const variants = await renderVariants(file.buffer, AVATAR_SIZES, { fit: 'cover', position: 'attention' });
+  const stored = await storeVariants(`avatars/${ownerType}/${ownerId}`, variants);
+
+  return {
+    urls: Object.fromEntries(Object.entries(stored).map(([name, variant]) => [name, variant.url])),
+    keys: Object.values(stored).map(variant => variant.key)
+  };
+};
+
+// Store an image attachment under `prefix`, e.g. questions/<id>
+const saveAttachment = async (prefix, file) => {
+  await readImageMetadata(file.buffer);
+  const variants = await renderVariants(file.buffer, ATTACHMENT_SIZES, { fit: 'inside', withoutEnlargement: true });
+  const stored = await storeVariants(`attachments/${prefix}`, variants);
+
+  return {
+    url: stored.full.url,
+    thumbnailUrl: stored.thumbnail.url,
+    width: stored.full.width,
+    height: stored.full.height,
+    size: stored.full.size,
+    originalName: file.originalname.slice(0, 200),
+    keys: Object.values(stored).map(variant => variant.key)
+  };
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  ATTACHMENT_SIZES,
+  saveAvatar,
+  saveAttachment,
+  removeFiles
+};
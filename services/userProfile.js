@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const GroupMember = require('../models/GroupMember');
+const Question = require('../models/Question');
+
+const HEATMAP_DAYS = 365;
+const RECENT_ACTIVITY_LIMIT = 20;
+const RECENT_SOLUTIONS_LIMIT = 10;
+
+const PUBLIC_USER_FIELDS = 'name avatar profile privacy statistics createdAt isActive deletedAt';
+
+// Groups of the target user whose activity the viewer may see: public groups,
+// plus private groups the viewer also belongs to. Users always see all of their own groups.
+const getVisibleGroups = async (targetId, viewerId) => {
+  const memberships = await GroupMember.find({ userId: targetId, status: 'active' })
+    .populate('groupId', 'name avatar category isPrivate isActive')
+    .lean();
+
+  const activeMemberships = memberships.filter(membership => membership.groupId?.isActive);
+  const isSelf = viewerId && targetId.toString() === viewerId.toString();
+
+  let viewerGroupIds = new Set();
+  if (viewerId && !isSelf) {
+    const viewerMemberships = await GroupMember.find({
+      userId: viewerId,
+      groupId: { $in: activeMemberships.map(membership => membership.groupId._id) },
+      status: 'active'
+    }).select('groupId').lean();
+    viewerGroupIds = new Set(viewerMemberships.map(membership => membership.groupId.toString()));
+  }
+
+  const visible = activeMemberships.filter(membership => isSelf ||
+    !membership.groupId.isPrivate ||
+    viewerGroupIds.has(membership.groupId._id.toString()));
+
+  return {
+    memberships: visible,
+    sharesGroup: viewerGroupIds.size > 0
+  };
+};
+
+// Solved/attempted/stuck totals, daily heatmap and difficulty/category breakdown from memberResponses
+const aggregateResponses = async (userId, groupIds, since) => {
+  const [result] = await Question.aggregate([
+    { $match: { groupId: { $in: groupIds }, status: 'active', 'memberResponses.userId': userId } },
+    { $unwind: '$memberResponses' },
+    { $match: { 'memberResponses.userId': userId } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: '$memberResponses.status', count: { $sum: 1 } } }
+        ],
+        heatmap: [
+          { $match: { 'memberResponses.submittedAt': { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$memberResponses.submittedAt' } },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        byDifficulty: [
+          {
+            $group: {
+              _id: '$difficulty',
+              solved: { $sum: { $cond: [{ $eq: ['$memberResponses.status', 'solved'] }, 1, 0] } },
+              total: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        byCategory: [
+          {
+            $group: {
+              _id: '$category',
+              solved: { $sum: { $cond: [{ $eq: ['$memberResponses.status', 'solved'] }, 1, 0] } },
+              total: { $sum: 1 }
+            }
+          },
+          { $sort: { solved: -1, total: -1 } }
+        ],
+        recent: [
+          { $sort: { 'memberResponses.submittedAt': -1 } },
+          { $limit: RECENT_ACTIVITY_LIMIT },
+          {
+            $project: {
+              _id: 0,
+              type: 'response',
+              questionId: '$_id',
+              title: 1,
+              difficulty: 1,
+              platform: 1,
+              groupId: 1,
+              status: '$memberResponses.status',
+              date: '$memberResponses.submittedAt'
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// Solutions shared by the user, without the code itself
+const aggregateSolutions = async (userId, groupIds, since) => {
+  const [result] = await Question.aggregate([
+    { $match: { groupId: { $in: groupIds }, status: 'active', 'solutions.userId': userId } },
+    { $unwind: '$solutions' },
+    { $match: { 'solutions.userId': userId } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        heatmap: [
+          { $match: { 'solutions.createdAt': { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$solutions.createdAt' } },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        recent: [
+          { $sort: { 'solutions.createdAt': -1 } },
+          { $limit: RECENT_SOLUTIONS_LIMIT },
+          {
+            $project: {
+              _id: 0,
+              questionId: '$_id',
+              title: 1,
+              difficulty: 1,
+              groupId: 1,
+              language: '$solutions.language',
+              timeComplexity: '$solutions.timeComplexity',
+              spaceComplexity: '$solutions.spaceComplexity',
+              date: '$solutions.createdAt'
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+const mergeHeatmaps = (...heatmaps) => {
+  const days = new Map();
+  heatmaps.flat().forEach(({ _id, count }) => days.set(_id, (days.get(_id) || 0) + count));
+  return [...days.entries()]
+    .map(([date, count]) => ({ date, count }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Apply the target's privacy settings for a viewer. Returns { isSelf, restricted, shows, memberships }:
+// restricted hides everything but name and avatar, shows(section) checks one show* flag.
+const getProfileAccess = async (user, viewerId) => {
+  const isSelf = Boolean(viewerId && user._id.toString() === viewerId.toString());
+  const privacy = isSelf ? {} : (user.privacy || {});
+  const { memberships, sharesGroup } = await getVisibleGroups(user._id, viewerId);
+
+  const visibility = privacy.profileVisibility || 'public';
+  return {
+    isSelf,
+    restricted: visibility === 'private' || (visibility === 'members' && !sharesGroup),
+    shows: (section) => privacy[section] !== false,
+    memberships
+  };
+};
+
+// The basic user card of GET /users/:id, under the same privacy rules as the public profile.
+// Returns null when the user does not exist.
+const buildUserSummary = async (targetId, viewerId) => {
+  const user = await User.findById(targetId).select(PUBLIC_USER_FIELDS).lean();
+  if (!user || user.deletedAt || !user.isActive) {
+    return null;
+  }
+
+  const { restricted, shows } = await getProfileAccess(user, viewerId);
+  const summary = { _id: user._id, name: user.name, avatar: user.avatar };
+  if (restricted) {
+    return summary;
+  }
+
+  summary.createdAt = user.createdAt;
+  summary.profile = user.profile;
+  if (shows('showStatistics')) {
+    summary.statistics = user.statistics;
+  }
+  return summary;
+};
+
+// Build the profile of `targetId` as seen by `viewerId`.
+// Returns null when the user does not exist, and a reduced profile when privacy settings hide it.
+const buildPublicProfile = async (targetId, viewerId) => {
+  const user = await User.findById(targetId).select(PUBLIC_USER_FIELDS).lean();
+  if (!user || user.deletedAt || !user.isActive) {
+    return null;
+  }
+
+  const userId = new mongoose.Types.ObjectId(targetId);
+  const { isSelf, restricted, shows, memberships } = await getProfileAccess(user, viewerId);
+
+  const profile = {
+    user: {
+      _id: user._id,
+      name: user.name,
+      avatar: user.avatar,
+      createdAt: user.createdAt
+    },
+    isSelf,
+    restricted
+  };
+
+  if (restricted) {
+    return profile;
+  }
+
+  profile.user.profile = user.profile;
+
+  const groupIds = memberships.map(membership => membership.groupId._id);
+  const since = new Date(Date.now() - HEATMAP_DAYS * 24 * 60 * 60 * 1000);
+
+  const [responses, solutions, questionsPosted] = await Promise.all([
+    aggregateResponses(userId, groupIds, since),
+    aggregateSolutions(userId, groupIds, since),
+    Question.countDocuments({ groupId: { $in: groupIds }, postedBy: userId, status: 'active' })
+  ]);
+
+  if (shows('showStatistics')) {
+    const totals = { solved: 0, attempted: 0, stuck: 0 };
+    responses.totals.forEach(({ _id, count }) => { totals[_id] = count; });
+
+    profile.statistics = {
+      ...totals,
+      questionsPosted,
+      solutionsShared: solutions.total[0]?.count || 0,
+      helpfulVotes: user.statistics?.helpfulVotes || 0
+    };
+  }
+
+  if (shows('showActivityHeatmap')) {
+    profile.activityHeatmap = {
+      since,
+      days: mergeHeatmaps(responses.heatmap, solutions.heatmap)
+    };
+  }
+
+  if (shows('showBreakdown')) {
+    const toBreakdown = (entries, key) => entries.map(({ _id, solved, total }) => ({ [key]: _id, solved, total }));
+    profile.breakdown = {
+      byDifficulty: toBreakdown(responses.byDifficulty, 'difficulty'),
+      byCategory: toBreakdown(responses.byCategory, 'category')
+    };
+  }
+
+  if (shows('showSolutions')) {
+    profile.recentSolutions = solutions.recent;
+  }
+
+  if (shows('showRecentActivity')) {
+    const solutionActivity = shows('showSolutions')
+      ? solutions.recent.map(({ questionId, title, difficulty, groupId, language, date }) => ({
+        type: 'solution', questionId, title, difficulty, groupId, language, date
+      }))
+      : [];
+
+    profile.recentActivity = [...responses.recent, ...solutionActivity]
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, RECENT_ACTIVITY_LIMIT);
+  }
+
+  if (shows('showGroups')) {
+    profile.groups = memberships.map(membership => ({
+      _id: membership.groupId._id,
+      name: membership.groupId.name,
+      avatar: membership.groupId.avatar,
+      category: membership.groupId.category,
+      role: membership.role,
+      joinedAt: membership.joinedAt
+    }));
+  }
+
+  return profile;
+};
+
+module.exports = {
+  buildUserSummary,
+  buildPublicProfile
+};
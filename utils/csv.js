@@ -0,0 +1,81 @@
+// Quote a value for CSV output (RFC 4180)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(';');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string' && /^[=+\-@]/.test(value)) {
+    // Stop spreadsheet apps from evaluating user content as a formula
+    text = `'${value}`;
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows; columns default to the keys of the first row
+const toCsv = (rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) => {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse a CSV document (RFC 4180) into objects keyed by the trimmed header names
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(values => values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values => Object.fromEntries(
+    headers.map((header, index) => [header, (values[index] ?? '').trim()])
+  ));
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Configured through environment variables; exposed to the frontend for its strength meter
+const policy = {
+  minLength: readNumber(process.env.PASSWORD_MIN_LENGTH, 8),
+  maxLength: readNumber(process.env.PASSWORD_MAX_LENGTH, 128),
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  historySize: readNumber(process.env.PASSWORD_HISTORY_SIZE, 5)
+};
+
+// Bundled list of common and breached passwords, loaded once
+const COMMON_PASSWORDS_FILE = process.env.COMMON_PASSWORDS_FILE || path.join(__dirname, '..', 'data', 'common-passwords.txt');
+let commonPasswords = null;
+
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+const STRENGTH_LABELS = ['very_weak', 'weak', 'fair', 'strong', 'very_strong'];
+
+// Rough entropy estimate from length and character classes, scored 0-4
+const estimateStrength = (password, isCommon) => {
+  if (isCommon) {
+    return { score: 0, label: STRENGTH_LABELS[0] };
+  }
+
+  let poolSize = 0;
+  if (/[a-z]/.test(password)) poolSize += 26;
+  if (/[A-Z]/.test(password)) poolSize += 26;
+  if (/\d/.test(password)) poolSize += 10;
+  if (/[^a-zA-Z\d]/.test(password)) poolSize += 33;
+
+  const uniqueChars = new Set(password).size;
+  const bits = uniqueChars * Math.log2(Math.max(poolSize, 1)) + (password.length - uniqueChars) * 2;
+
+  let score = 0;
+  if (bits >= 28) score = 1;
+  if (bits >= 36) score = 2;
+  if (bits >= 60) score = 3;
+  if (bits >= 90) score = 4;
+
+  return { score, label: STRENGTH_LABELS[score] };
+};
+
+// Check a password against the policy. `user` may hold name/email for personal info checks,
+// and a password hash plus passwordHistory to reject reused passwords.
+const validatePassword = async (password, user = {}) => {
+  const reasons = [];
+  const addReason = (code, message) => reasons.push({ code, message });
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return {
+      valid: false,
+      reasons: [{ code: 'required', message: 'Password is required' }],
+      strength: { score: 0, label: STRENGTH_LABELS[0] }
+    };
+  }
+
+  if (password.length < policy.minLength) {
+    addReason('too_short', `Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > policy.maxLength) {
+    addReason('too_long', `Password must be at most ${policy.maxLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    addReason('missing_lowercase', 'Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    addReason('missing_uppercase', 'Password must contain an uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    addReason('missing_number', 'Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^a-zA-Z\d]/.test(password)) {
+    addReason('missing_symbol', 'Password must contain a symbol');
+  }
+
+  const lowered = password.toLowerCase();
+  const isCommon = getCommonPasswords().has(lowered);
+  if (isCommon) {
+    addReason('common_password', 'This password is too common or has appeared in a data breach');
+  }
+
+  const personalInfo = [String(user.email || '').split('@')[0], ...String(user.name || '').split(/\s+/)]
+    .filter(part => part && part.length >= 3)
+    .map(part => part.toLowerCase());
+  if (personalInfo.some(part => lowered.includes(part))) {
+    addReason('contains_personal_info', 'Password must not contain your name or email');
+  }
+
+  if (policy.historySize > 0) {
+    const previousHashes = [...new Set([user.password, ...(user.passwordHistory || [])])].filter(Boolean);
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        addReason('reused_password', `Password must differ from your last ${policy.historySize} passwords`);
+        break;
+      }
+    }
+  }
+
+  return {
+    valid: reasons.length === 0,
+    reasons,
+    strength: estimateStrength(password, isCommon)
+  };
+};
+
+const getPolicy = () => ({ ...policy });
+
+module.exports = {
+  validatePassword,
+  getPolicy
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MFA_TOKEN_EXPIRES_IN = '5m';
+const OAUTH_STATE_EXPIRES_IN = '10m';
+// Personal access tokens are opaque and recognizable by this prefix
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'cbp_';
+
+// Hash an opaque token before storing or looking it up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT bound to a server-side session
+const generateAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, email: user.email, sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Issued after the password step when the account has two-factor enabled
+const generateMfaToken = (user) => jwt.sign(
+  { userId: user._id, type: 'mfa_pending' },
+  JWT_SECRET,
+  { expiresIn: MFA_TOKEN_EXPIRES_IN }
+);
+
+// Returns the decoded payload, or null if the token is not a valid MFA token
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === 'mfa_pending' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Signed OAuth state: ties the callback to the provider, to the browser that started the
+// flow through the hash of its nonce cookie and, when linking, to the user
+const generateOAuthState = ({ provider, mode, userId, nonce }) => jwt.sign(
+  { type: 'oauth_state', provider, mode, userId, nonceHash: hashToken(nonce) },
+  JWT_SECRET,
+  { expiresIn: OAUTH_STATE_EXPIRES_IN }
+);
+
+// Returns the decoded state, or null if it is invalid, expired or was started in another browser
+const verifyOAuthState = (state, provider, nonce) => {
+  try {
+    const decoded = jwt.verify(state, JWT_SECRET);
+    if (decoded.type !== 'oauth_state' || decoded.provider !== provider || !nonce) {
+      return null;
+    }
+    return decoded.nonceHash === hashToken(nonce) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const generatePersonalAccessToken = () => `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+const isPersonalAccessToken = (token) => token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+// Refresh tokens carry the session ID so they can be looked up without a scan
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: (req.get('User-Agent') || '').slice(0, 500)
+});
+
+// Start a new session and return the token pair for it
+const issueAuthTokens = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...getClientInfo(req)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// is invalid. Presenting an already-rotated token revokes the whole session.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId).populate('userId');
+  if (!session || !session.isValid) {
+    return null;
+  }
+
+  const presentedHash = Buffer.from(hashToken(refreshToken));
+  const storedHash = Buffer.from(session.refreshTokenHash);
+  if (presentedHash.length !== storedHash.length || !crypto.timingSafeEqual(presentedHash, storedHash)) {
+    await session.revoke('token_reuse');
+    return null;
+  }
+
+  const user = session.userId;
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  Object.assign(session, getClientInfo(req));
+  await session.save();
+
+  return {
+    user,
+    token: generateAccessToken(user, session._id),
+    refreshToken: newRefreshToken,
+    sessionId: session._id
+  };
+};
+
+module.exports = {
+  JWT_SECRET,
+  hashToken,
+  generateAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateOAuthState,
+  verifyOAuthState,
+  generatePersonalAccessToken,
+  isPersonalAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  getClientInfo
+};